@@ -0,0 +1,94 @@
+import { extend } from '@services/util.js';
+import './access-code-form.scss';
+
+/**
+ * Form to enter the access code of a waypoint.
+ */
+export default class AccessCodeForm {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {string} [params.title] Title of waypoint to unlock.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onSubmit] Callback when user submits a code.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({
+      title: '',
+    }, params);
+
+    this.callbacks = extend({
+      onSubmit: () => {},
+    }, callbacks);
+
+    const uuid = H5P.createUUID();
+
+    this.dom = document.createElement('form');
+    this.dom.classList.add('h5p-story-map-access-code-form');
+    this.dom.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+
+    const label = document.createElement('label');
+    label.classList.add('h5p-story-map-access-code-label');
+    label.setAttribute('for', `h5p-story-map-access-code-input-${uuid}`);
+    label.innerText = this.params.dictionary.get('l10n.accessCodeInstructions')
+      .replace('@title', this.params.title);
+    this.dom.append(label);
+
+    this.input = document.createElement('input');
+    this.input.classList.add('h5p-story-map-access-code-input');
+    this.input.setAttribute('id', `h5p-story-map-access-code-input-${uuid}`);
+    this.input.setAttribute('type', 'text');
+    this.input.setAttribute('autocomplete', 'off');
+    this.input.setAttribute('autocapitalize', 'off');
+    this.input.setAttribute('spellcheck', 'false');
+    this.input.setAttribute('aria-describedby', `h5p-story-map-access-code-error-${uuid}`);
+    this.input.addEventListener('input', () => {
+      this.setError(null);
+    });
+    this.dom.append(this.input);
+
+    this.error = document.createElement('p');
+    this.error.classList.add('h5p-story-map-access-code-error');
+    this.error.setAttribute('id', `h5p-story-map-access-code-error-${uuid}`);
+    this.error.setAttribute('role', 'alert');
+    this.dom.append(this.error);
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Form DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Submit code that was entered.
+   */
+  submit() {
+    if (this.input.value.trim() === '') {
+      this.setError(this.params.dictionary.get('l10n.accessCodeMissing'));
+      return;
+    }
+
+    this.callbacks.onSubmit(this.input.value);
+  }
+
+  /**
+   * Set error message.
+   * @param {string|null} message Message or null to remove error.
+   */
+  setError(message) {
+    this.error.innerText = message ?? '';
+    this.input.setAttribute('aria-invalid', message ? 'true' : 'false');
+
+    if (message) {
+      this.input.select();
+      this.input.focus();
+    }
+  }
+}
@@ -1,7 +1,27 @@
+import JournalEntry from '@components/journal/journal-entry.js';
+import { getMapTaskClass } from '@components/map-tasks/map-tasks.js';
 import { isInstanceTask } from '@services/h5p-util.js';
 import { callOnceVisible, extend } from '@services/util.js';
 import './content-bundle.scss';
 
+/** @constant {number} VIDEO_STATE_PLAYING Player state of H5P.Video when playing. */
+const VIDEO_STATE_PLAYING = 1;
+
+/** @constant {string[]} NON_TASK_LIBRARIES Libraries that are known to never be tasks. */
+const NON_TASK_LIBRARIES = [
+  'H5P.AdvancedText',
+  'H5P.Audio',
+  'H5P.Image',
+  'H5P.ImageHotspots',
+  'H5P.ImageJuxtaposition',
+  'H5P.Video',
+];
+
+/** @constant {object} PARAMS_MAX_SCORES Getters for maximum scores of libraries that only depend on parameters. */
+const PARAMS_MAX_SCORES = {
+  'H5P.TrueFalse': () => 1,
+};
+
 export default class ContentBundle {
   /**
    * @class
@@ -15,14 +35,48 @@ export default class ContentBundle {
     }, callbacks);
 
     this.instances = [];
+    this.instanceWrappers = [];
     this.trackingMap = {};
+    this.mediaResumers = [];
+    this.isMapActive = false;
+
+    // Previous states of children that have not been instantiated yet
+    this.previousChildStates = (this.params.previousState?.children ?? []).map((state) => state ?? undefined);
+
+    // Maximum scores of children, so contents need not be instantiated to compute the total
+    this.maxScores = (this.params.previousState?.maxScores ?? []).map((maxScore) => maxScore ?? undefined);
+    this.params.contents.forEach((contentParams, index) => {
+      this.maxScores[index] = this.getMaxScoreFromParams(contentParams) ?? this.maxScores[index];
+    });
+
+    // Completion of tasks is restored, completion of non-tasks is determined when instantiating
+    for (const index in this.params.previousState?.trackingMap ?? {}) {
+      const entry = this.params.previousState.trackingMap[index];
+      if (entry?.isTask !== false) {
+        this.trackingMap[index] = entry;
+      }
+    }
 
     this.dom = document.createElement('div');
     this.dom.classList.add('h5p-story-map-content-bundle');
 
+    // Instances are only created once needed, but wrappers keep the order of contents
     this.params.contents.forEach((contentParams, index) => {
-      this.addContent(contentParams.action, index);
+      const instanceWrapper = document.createElement('div');
+      instanceWrapper.classList.add('h5p-story-map-content-wrapper');
+      this.instanceWrappers[index] = instanceWrapper;
+      this.dom.append(instanceWrapper);
     });
+
+    if (this.params.journalPrompt) {
+      this.journalEntry = new JournalEntry({
+        globals: this.params.globals,
+        waypointId: this.params.waypointId,
+        prompt: this.params.journalPrompt,
+        text: this.params.previousState?.journal,
+      });
+      this.dom.append(this.journalEntry.getDOM());
+    }
   }
 
   /**
@@ -34,9 +88,17 @@ export default class ContentBundle {
   }
 
   /**
-   * Show.
+   * Show. Will instantiate all contents when shown for the first time.
    */
   show() {
+    const wasCompleted = this.isCompleted();
+    this.instantiateContents();
+
+    // Contents that turned out not to be tasks are completed once instantiated
+    if (!wasCompleted && this.isCompleted()) {
+      this.callbacks.onTaskCompleted();
+    }
+
     this.dom.classList.remove('hidden');
 
     window.requestAnimationFrame(() => {
@@ -52,23 +114,193 @@ export default class ContentBundle {
   }
 
   /**
-   * Add content.
+   * Activate, e.g. when waypoint is opened. Optionally resumes media paused on deactivation.
+   */
+  activate() {
+    if (this.params.resumeMediaOnReturn) {
+      this.mediaResumers.forEach((resume) => {
+        resume();
+      });
+    }
+
+    this.mediaResumers = [];
+  }
+
+  /**
+   * Deactivate, e.g. when waypoint is left. Pauses all media that is playing.
+   */
+  deactivate() {
+    const mediaResumers = this.instances.flatMap((instance, index) => {
+      return this.pauseMedia(instance, this.instanceWrappers[index]);
+    });
+
+    // Repeated deactivation must not lose media that is still waiting to be resumed
+    if (mediaResumers.length) {
+      this.mediaResumers = mediaResumers;
+    }
+  }
+
+  /**
+   * Set whether tasks that use the map are active, i.e. whether the waypoint is open.
+   * @param {boolean} active If true, tasks that use the map are active.
+   */
+  setMapActive(active) {
+    this.isMapActive = active;
+
+    this.instances.forEach((instance) => {
+      instance?.setMapActive?.(active);
+    });
+  }
+
+  /**
+   * Pause media of an instance.
+   * @param {H5P.ContentType} instance Instance.
+   * @param {HTMLElement} instanceWrapper Wrapper that instance is attached to.
+   * @returns {function[]} Functions to resume media that was paused.
+   */
+  pauseMedia(instance, instanceWrapper) {
+    if (!instance) {
+      return [];
+    }
+
+    const mediaResumers = [];
+
+    // H5P.Video or content using H5P.Video, e.g. H5P.InteractiveVideo
+    [instance, instance.video].forEach((player) => {
+      if (
+        typeof player?.getPlayerState !== 'function' ||
+        player.getPlayerState() !== (H5P.Video?.PLAYING ?? VIDEO_STATE_PLAYING)
+      ) {
+        return;
+      }
+
+      player.pause?.();
+      mediaResumers.push(() => {
+        player.play?.();
+      });
+    });
+
+    // Any other media elements, e.g. H5P.Audio or media inside of compound contents
+    instanceWrapper?.querySelectorAll('video, audio').forEach((mediaElement) => {
+      if (mediaElement.paused) {
+        return;
+      }
+
+      mediaElement.pause();
+      mediaResumers.push(() => {
+        mediaElement.play()?.catch(() => {}); // Browser may decline to autoplay
+      });
+    });
+
+    return mediaResumers;
+  }
+
+  /**
+   * Instantiate all contents that have not been instantiated yet.
+   * @param {function} [filter] Filter function receiving the content index to select contents to instantiate.
+   */
+  instantiateContents(filter = () => true) {
+    this.params.contents.forEach((contentParams, index) => {
+      if (this.isContentInstantiated(index) || !filter(index)) {
+        return;
+      }
+
+      this.addContent(contentParams, index);
+    });
+  }
+
+  /**
+   * Determine whether content has been instantiated already.
+   * @param {number} index Index of content.
+   * @returns {boolean} True, if content has been instantiated.
+   */
+  isContentInstantiated(index) {
+    return this.instances[index] !== undefined;
+  }
+
+  /**
+   * Determine whether content could be a task without instantiating it.
+   * @param {number} index Index of content.
+   * @returns {boolean} True, if content could be a task.
+   */
+  isContentPotentialTask(index) {
+    if (this.isContentInstantiated(index)) {
+      return isInstanceTask(this.instances[index]);
+    }
+
+    if (getMapTaskClass(this.params.contents[index]?.contentType)) {
+      return this.maxScores[index] > 0; // Map tasks without anything to score are no tasks
+    }
+
+    const machineName = this.params.contents[index]?.action?.library?.split(' ')[0];
+    return !!machineName && !NON_TASK_LIBRARIES.includes(machineName);
+  }
+
+  /**
+   * Get maximum score of content from its parameters if possible.
+   * @param {object} contentParams Content parameters.
+   * @returns {number|undefined} Maximum score or undefined if it can only be determined by instantiating.
+   */
+  getMaxScoreFromParams(contentParams) {
+    const MapTask = getMapTaskClass(contentParams?.contentType);
+    if (MapTask) {
+      return MapTask.getMaxScore(contentParams[contentParams.contentType]);
+    }
+
+    const machineName = contentParams?.action?.library?.split(' ')[0];
+    return PARAMS_MAX_SCORES[machineName]?.(contentParams.action.params ?? {});
+  }
+
+  /**
+   * Create instance of content, either an H5P content or a native task that uses the map.
    * @param {object} contentParams Content parameters.
    * @param {number} index Index.
+   * @returns {H5P.ContentType|undefined} Instance.
    */
-  addContent(contentParams, index) {
-    const instanceWrapper = document.createElement('div');
-    instanceWrapper.classList.add('h5p-story-map-content-wrapper');
+  createInstance(contentParams, index) {
+    const MapTask = getMapTaskClass(contentParams.contentType);
+    if (MapTask) {
+      return new MapTask({
+        globals: this.params.globals,
+        dictionary: this.params.dictionary,
+        taskParams: contentParams[contentParams.contentType],
+        subContentId: `${this.params.waypointId}-${index}`,
+        parent: this.params.globals.get('mainInstance'),
+        previousState: this.previousChildStates[index] ?? undefined,
+      });
+    }
 
-    const instance = H5P.newRunnable(
-      contentParams,
+    return H5P.newRunnable(
+      contentParams.action,
       this.params.globals.get('contentId'),
       undefined,
       true,
+      {
+        parent: this.params.globals.get('mainInstance'),
+        previousState: this.previousChildStates[index] ?? undefined,
+      },
     );
+  }
+
+  /**
+   * Add content.
+   * @param {object} contentParams Content parameters.
+   * @param {number} index Index.
+   */
+  addContent(contentParams, index) {
+    const instanceWrapper = this.instanceWrappers[index];
+
+    const instance = this.createInstance(contentParams, index);
+
+    delete this.previousChildStates[index];
 
     if (!instance) {
-      console.warn('Failed to create content instance', contentParams);
+      console.warn('Failed to create content instance', contentParams.action);
+
+      // Keep indexes of instances aligned with indexes of contents
+      this.instances[index] = null;
+      this.maxScores[index] = 0;
+      this.trackingMap[index] = { isTask: false, completed: true, success: true };
       return;
     }
 
@@ -88,6 +320,7 @@ export default class ContentBundle {
         this.trackingMap[index] = {
           completed: result.completion ?? true,
           success: result.success ?? (result.maxScore) ? ((result.score ?? 0) >= result.maxScore) : false,
+          score: result.score?.raw ?? 0,
         };
 
         this.callbacks.onTaskCompleted();
@@ -101,7 +334,7 @@ export default class ContentBundle {
       instance.attach(H5P.jQuery(instanceWrapper));
 
       // The usual workaround for HFP-4289 :-( TODO: Can this be removed already?
-      if (instance?.libraryInfo.machineName === 'H5P.Audio') {
+      if (instance?.libraryInfo?.machineName === 'H5P.Audio') {
         if (!!window.chrome) {
           instance.audio.style.height = '54px';
         }
@@ -116,19 +349,32 @@ export default class ContentBundle {
       instance.trigger('resize');
     });
 
-    this.instances.push(instance);
-
-    this.dom.append(instanceWrapper);
+    this.instances[index] = instance;
+    this.maxScores[index] = instance.getMaxScore?.() || 0;
+    instance.setMapActive?.(this.isMapActive);
 
     this.params.globals.get('resize')();
   }
 
+  /**
+   * Get the journal entry of the user.
+   * @returns {object|null} Journal entry ({ prompt: string, text: string }) or null if no journal is used.
+   */
+  getJournalEntry() {
+    if (!this.journalEntry) {
+      return null;
+    }
+
+    return { prompt: this.journalEntry.getPrompt(), text: this.journalEntry.getText() };
+  }
+
   /**
    * Determine whether the content bundle contains any tasks.
+   * Contents that have not been instantiated yet are estimated by their library.
    * @returns {boolean} True if the content bundle contains any tasks.
    */
   containsAnyTask() {
-    return this.instances.some((instance) => isInstanceTask(instance));
+    return this.params.contents.some((contentParams, index) => this.isContentPotentialTask(index));
   }
 
   /**
@@ -136,8 +382,14 @@ export default class ContentBundle {
    * @returns {boolean} True if all tasks are completed.
    */
   isCompleted() {
-    return this.instances.length === Object.keys(this.trackingMap).length &&
-      Object.values(this.trackingMap).every((entry) => entry.completed);
+    return this.params.contents.every((contentParams, index) => {
+      if (this.trackingMap[index]) {
+        return this.trackingMap[index].completed;
+      }
+
+      // Contents that cannot be tasks will be completed once instantiated
+      return !this.isContentInstantiated(index) && !this.isContentPotentialTask(index);
+    });
   }
 
   /**
@@ -187,21 +439,42 @@ export default class ContentBundle {
 
   /**
    * Get score.
+   * Contents that have not been instantiated yet use the score tracked when they were answered. Only states
+   * stored before scores were tracked require instantiating the content.
    * @returns {number} Score.
    */
   getScore() {
-    return this.instances.reduce((total, instance) => {
-      return total + (instance?.getScore?.() || 0);
+    this.instantiateContents((index) => {
+      return this.isContentPotentialTask(index) && this.previousChildStates[index] !== undefined &&
+        typeof this.trackingMap[index]?.score !== 'number';
+    });
+
+    return this.params.contents.reduce((total, contentParams, index) => {
+      const score = this.isContentInstantiated(index) ?
+        this.instances[index]?.getScore?.() :
+        this.trackingMap[index]?.score;
+
+      return total + (score || 0);
     }, 0);
   }
 
   /**
    * Get maximum score.
+   * Maximum scores are determined from the parameters where possible. Only other contents that could be tasks
+   * are instantiated once, but their maximum scores are kept in the state, so this is not required again.
    * @returns {number} Maximum score.
    */
   getMaxScore() {
-    return this.instances.reduce((total, instance) => {
-      return total + (instance?.getMaxScore?.() || 0);
+    this.instantiateContents((index) => {
+      return this.isContentPotentialTask(index) && typeof this.maxScores[index] !== 'number';
+    });
+
+    return this.params.contents.reduce((total, contentParams, index) => {
+      const maxScore = this.isContentInstantiated(index) ?
+        this.instances[index]?.getMaxScore?.() :
+        this.maxScores[index];
+
+      return total + (maxScore || 0);
     }, 0);
   }
 
@@ -209,6 +482,8 @@ export default class ContentBundle {
    * Show solutions for all child question types.
    */
   showSolutions() {
+    this.instantiateContents((index) => this.previousChildStates[index] !== undefined);
+
     this.instances.forEach((instance) => {
       instance?.showSolutions?.();
     });
@@ -222,10 +497,88 @@ export default class ContentBundle {
       instance?.resetTask?.();
     });
 
+    this.previousChildStates = [];
+    this.mediaResumers = [];
+    this.journalEntry?.reset();
+
     for (const index in this.trackingMap) {
       if (this.trackingMap[index].isTask !== false) {
         delete this.trackingMap[index];
       }
     }
   }
+
+  /**
+   * Get xAPI data for the waypoint and its children.
+   * @returns {object} XAPI data with waypoint statement and statements of children.
+   */
+  getXAPIData() {
+    const xAPIEvent = this.createXAPIEvent('completed');
+
+    // Not a valid xAPI value (!), but H5P uses it for reporting
+    xAPIEvent.data.statement.object.definition.interactionType = 'compound';
+
+    return {
+      statement: xAPIEvent.data.statement,
+      children: [...this.instances, this.journalEntry]
+        .map((instance) => instance?.getXAPIData?.())
+        .filter((childXAPIData) => !!childXAPIData),
+    };
+  }
+
+  /**
+   * Create an xAPI event for the waypoint.
+   * @param {string} verb Short id of the verb we want to trigger.
+   * @returns {H5P.XAPIEvent} XAPI event.
+   */
+  createXAPIEvent(verb) {
+    const mainInstance = this.params.globals.get('mainInstance');
+    const title = this.params.waypointTitle ?? '';
+
+    const xAPIEvent = new H5P.XAPIEvent();
+    xAPIEvent.setActor();
+    xAPIEvent.setVerb(verb);
+
+    // Waypoint is no H5P content, so it's faked to be a subcontent of the main instance
+    xAPIEvent.setObject({
+      contentId: this.params.globals.get('contentId'),
+      subContentId: this.params.waypointId,
+      getTitle: () => title,
+    });
+    xAPIEvent.setContext({ parent: mainInstance, libraryInfo: mainInstance?.libraryInfo });
+
+    // Fallback for h5p-php-reporting, expects en-US
+    const languageTag = mainInstance?.languageTag ?? 'en-US';
+    const localizedTitle = { [languageTag]: title, 'en-US': title };
+
+    extend(xAPIEvent.getVerifiedStatementValue(['object', 'definition']), {
+      name: localizedTitle,
+      description: localizedTitle,
+      type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+      interactionType: 'other',
+    });
+
+    const score = this.getScore();
+    const maxScore = this.getMaxScore();
+    xAPIEvent.setScoredResult(score, maxScore, undefined, this.isCompleted(), score >= maxScore);
+
+    return xAPIEvent;
+  }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    return {
+      children: this.params.contents.map((contentParams, index) => {
+        return this.isContentInstantiated(index) ?
+          this.instances[index]?.getCurrentState?.() :
+          this.previousChildStates[index];
+      }),
+      trackingMap: this.trackingMap,
+      maxScores: this.maxScores,
+      journal: this.journalEntry?.getText(),
+    };
+  }
 }
@@ -0,0 +1,104 @@
+import { extend } from '@services/util.js';
+import './cover.scss';
+
+export default class Cover {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {object} params.globals Global values.
+   * @param {string} [params.title] Title.
+   * @param {string} [params.introduction] Introduction as HTML.
+   * @param {object} [params.image] H5P image parameters.
+   * @param {string} [params.imageAltText] Alternative text for image.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onStart] Callback when user wants to start.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({
+      title: '',
+      introduction: '',
+      imageAltText: '',
+    }, params);
+
+    this.callbacks = extend({
+      onStart: () => {},
+    }, callbacks);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-cover');
+
+    const content = document.createElement('div');
+    content.classList.add('h5p-story-map-cover-content');
+    this.dom.append(content);
+
+    if (this.params.image?.path) {
+      const image = document.createElement('img');
+      image.classList.add('h5p-story-map-cover-image');
+      image.setAttribute('alt', this.params.imageAltText);
+      H5P.setSource(image, this.params.image, this.params.globals.get('contentId'));
+      content.append(image);
+    }
+
+    if (this.params.title) {
+      const title = document.createElement('div');
+      title.classList.add('h5p-story-map-cover-title');
+      title.setAttribute('role', 'heading');
+      title.setAttribute('aria-level', '2');
+      title.innerText = this.params.title;
+      content.append(title);
+    }
+
+    if (this.params.introduction) {
+      const introduction = document.createElement('div');
+      introduction.classList.add('h5p-story-map-cover-introduction');
+      introduction.innerHTML = this.params.introduction;
+      content.append(introduction);
+    }
+
+    this.startButton = document.createElement('button');
+    this.startButton.classList.add('h5p-story-map-cover-start');
+    this.startButton.innerText = this.params.dictionary.get('l10n.startTour');
+    this.startButton.addEventListener('click', () => {
+      this.callbacks.onStart();
+    });
+    content.append(this.startButton);
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Cover DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Show cover.
+   */
+  show() {
+    this.dom.classList.remove('display-none');
+  }
+
+  /**
+   * Hide cover.
+   */
+  hide() {
+    this.dom.classList.add('display-none');
+  }
+
+  /**
+   * Determine whether cover is visible.
+   * @returns {boolean} True, if cover is visible, else false.
+   */
+  isVisible() {
+    return !this.dom.classList.contains('display-none');
+  }
+
+  /**
+   * Focus start button.
+   */
+  focus() {
+    this.startButton.focus();
+  }
+}
@@ -0,0 +1,67 @@
+import {
+  PROBLEM_DUPLICATE_ID, PROBLEM_FILE_UNAVAILABLE, PROBLEM_INVALID_COORDINATES, PROBLEM_NO_POINT, PROBLEM_NO_WAYPOINTS,
+  PROBLEM_UNSUPPORTED_ELEMENT,
+} from '@services/waypoint-source.js';
+import {
+  PROBLEM_INVALID_ROUTE_POINT, PROBLEM_NO_PROMPTS, PROBLEM_ROUTE_TOO_SHORT,
+} from '@components/map-tasks/map-task.js';
+import { extend } from '@services/util.js';
+import './diagnostics.scss';
+
+/** @constant {object} MESSAGE_KEYS Dictionary keys of the messages for the problem types. */
+const MESSAGE_KEYS = {
+  [PROBLEM_NO_POINT]: 'l10n.problemNoPoint',
+  [PROBLEM_INVALID_COORDINATES]: 'l10n.problemInvalidCoordinates',
+  [PROBLEM_DUPLICATE_ID]: 'l10n.problemDuplicateId',
+  [PROBLEM_NO_WAYPOINTS]: 'l10n.problemNoWaypoints',
+  [PROBLEM_FILE_UNAVAILABLE]: 'l10n.problemFileUnavailable',
+  [PROBLEM_UNSUPPORTED_ELEMENT]: 'l10n.problemUnsupportedElement',
+  [PROBLEM_NO_PROMPTS]: 'l10n.problemNoPrompts',
+  [PROBLEM_INVALID_ROUTE_POINT]: 'l10n.problemInvalidRoutePoint',
+  [PROBLEM_ROUTE_TOO_SHORT]: 'l10n.problemRouteTooShort',
+};
+
+/**
+ * List of problems with the waypoint source or with tasks that the author needs to fix.
+ */
+export default class Diagnostics {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {string} [params.headline] Headline, problems with the waypoint source by default.
+   * @param {object[]} params.problems Problems ({ type: string, number?: number, element?: string }).
+   */
+  constructor(params = {}) {
+    this.params = extend({
+      problems: [],
+    }, params);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-diagnostics');
+
+    const headline = document.createElement('p');
+    headline.classList.add('h5p-story-map-diagnostics-headline');
+    headline.innerText = this.params.headline ?? this.params.dictionary.get('l10n.waypointSourceProblems');
+    this.dom.append(headline);
+
+    const list = document.createElement('ul');
+    list.classList.add('h5p-story-map-diagnostics-list');
+    this.params.problems.forEach((problem) => {
+      const item = document.createElement('li');
+      item.innerText = this.params.dictionary.get(MESSAGE_KEYS[problem.type])
+        .replace(/@number/g, problem.number ?? '')
+        .replace(/@element/g, problem.element ?? '');
+      list.append(item);
+    });
+    this.dom.append(list);
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Diagnostics DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+}
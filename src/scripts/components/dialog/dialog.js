@@ -0,0 +1,237 @@
+import { extend } from '@services/util.js';
+import './dialog.scss';
+
+/** @constant {string} FOCUSABLE_ELEMENTS Selector for elements that can receive focus. */
+const FOCUSABLE_ELEMENTS = [
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'textarea:not([disabled])',
+  'select:not([disabled])',
+  'a[href]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(', ');
+
+export default class Dialog {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onClosed] Callback when dialog was closed.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({}, params);
+
+    this.callbacks = extend({
+      onClosed: () => {},
+    }, callbacks);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-dialog-overlay');
+    this.dom.addEventListener('click', (event) => {
+      if (event.target === this.dom) {
+        this.hide();
+      }
+    });
+
+    this.dialog = document.createElement('div');
+    this.dialog.classList.add('h5p-story-map-dialog');
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.addEventListener('keydown', (event) => {
+      this.handleKeydown(event);
+    });
+    this.dom.append(this.dialog);
+
+    const headlineId = `h5p-story-map-dialog-headline-${H5P.createUUID()}`;
+    this.dialog.setAttribute('aria-labelledby', headlineId);
+
+    const header = document.createElement('div');
+    header.classList.add('h5p-story-map-dialog-header');
+    this.dialog.append(header);
+
+    this.headline = document.createElement('div');
+    this.headline.classList.add('h5p-story-map-dialog-headline');
+    this.headline.setAttribute('id', headlineId);
+    this.headline.setAttribute('role', 'heading');
+    this.headline.setAttribute('aria-level', '2');
+    header.append(this.headline);
+
+    const closeButton = document.createElement('button');
+    closeButton.classList.add('h5p-story-map-dialog-close');
+    closeButton.setAttribute('aria-label', this.params.dictionary.get('a11y.close'));
+    closeButton.addEventListener('click', () => {
+      this.hide();
+    });
+    header.append(closeButton);
+
+    this.content = document.createElement('div');
+    this.content.classList.add('h5p-story-map-dialog-content');
+    this.dialog.append(this.content);
+
+    this.buttonsContainer = document.createElement('div');
+    this.buttonsContainer.classList.add('h5p-story-map-dialog-buttons');
+    this.dialog.append(this.buttonsContainer);
+
+    this.hide({ skipCallback: true });
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Dialog DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Show dialog.
+   * @param {object} [params] Parameters.
+   * @param {string} [params.headline] Headline.
+   * @param {HTMLElement|string} [params.content] Content, either DOM or plain text.
+   * @param {object[]} [params.buttons] Buttons, see buildButton for parameters.
+   * @param {string[]} [params.classes] Additional classes for the dialog.
+   */
+  show(params = {}) {
+    this.headline.innerText = params.headline ?? '';
+
+    this.content.innerHTML = '';
+    if (params.content instanceof HTMLElement) {
+      this.content.append(params.content);
+    }
+    else if (typeof params.content === 'string') {
+      const text = document.createElement('p');
+      text.innerText = params.content;
+      this.content.append(text);
+    }
+
+    this.buttonsContainer.innerHTML = '';
+    (params.buttons ?? []).forEach((buttonParams) => {
+      this.buttonsContainer.append(this.buildButton(buttonParams));
+    });
+
+    this.dialog.className = 'h5p-story-map-dialog';
+    (params.classes ?? []).forEach((className) => {
+      this.dialog.classList.add(className);
+    });
+
+    this.previousFocus = document.activeElement;
+    this.dom.classList.remove('display-none');
+    this.isShowing = true;
+
+    this.getFocusableElements()[0]?.focus();
+  }
+
+  /**
+   * Hide dialog.
+   * @param {object} [options] Options.
+   * @param {boolean} [options.skipCallback] If true, don't call onClosed callback.
+   * @param {boolean} [options.skipFocus] If true, don't restore focus to previously focused element.
+   */
+  hide(options = {}) {
+    this.dom.classList.add('display-none');
+
+    if (!this.isShowing) {
+      return;
+    }
+
+    this.isShowing = false;
+
+    if (!options.skipFocus && this.previousFocus?.isConnected) {
+      this.previousFocus.focus();
+    }
+
+    if (!options.skipCallback) {
+      this.callbacks.onClosed();
+    }
+  }
+
+  /**
+   * Determine whether dialog is showing.
+   * @returns {boolean} True, if dialog is showing.
+   */
+  isOpen() {
+    return this.isShowing ?? false;
+  }
+
+  /**
+   * Build button.
+   * @param {object} [params] Parameters.
+   * @param {string} [params.label] Label.
+   * @param {function} [params.onClick] Callback for click.
+   * @param {boolean} [params.disabled] If true, button is disabled.
+   * @param {string} [params.description] Description to be displayed with the button.
+   * @returns {HTMLElement} Button.
+   */
+  buildButton(params = {}) {
+    const button = document.createElement('button');
+    button.classList.add('h5p-story-map-dialog-button');
+    button.disabled = params.disabled === true;
+
+    const label = document.createElement('span');
+    label.classList.add('h5p-story-map-dialog-button-label');
+    label.innerText = params.label ?? '';
+    button.append(label);
+
+    if (params.description) {
+      const description = document.createElement('span');
+      description.classList.add('h5p-story-map-dialog-button-description');
+      description.innerText = params.description;
+      button.append(description);
+    }
+
+    button.addEventListener('click', () => {
+      params.onClick?.();
+    });
+
+    return button;
+  }
+
+  /**
+   * Get elements in dialog that can receive focus.
+   * @returns {HTMLElement[]} Focusable elements.
+   */
+  getFocusableElements() {
+    // Prefer content and buttons over close button for initial focus
+    return [
+      ...this.content.querySelectorAll(FOCUSABLE_ELEMENTS),
+      ...this.buttonsContainer.querySelectorAll(FOCUSABLE_ELEMENTS),
+      ...this.dialog.querySelectorAll('.h5p-story-map-dialog-close'),
+    ];
+  }
+
+  /**
+   * Handle key down.
+   * @param {KeyboardEvent} event Keyboard event.
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.hide();
+      return;
+    }
+
+    if (event.key !== 'Tab') {
+      return;
+    }
+
+    // Keep focus inside of dialog
+    const focusableElements = [...this.dialog.querySelectorAll(FOCUSABLE_ELEMENTS)];
+    if (!focusableElements.length) {
+      return;
+    }
+
+    const firstElement = focusableElements[0];
+    const lastElement = focusableElements[focusableElements.length - 1];
+
+    if (event.shiftKey && document.activeElement === firstElement) {
+      event.preventDefault();
+      lastElement.focus();
+    }
+    else if (!event.shiftKey && document.activeElement === lastElement) {
+      event.preventDefault();
+      firstElement.focus();
+    }
+  }
+}
@@ -0,0 +1,161 @@
+import { formatDistance } from '@services/geo-util.js';
+import { getTrackDistances } from '@services/gpx-track.js';
+import { extend } from '@services/util.js';
+import './elevation-profile.scss';
+
+/** @constant {string} SVG_NAMESPACE Namespace of SVG elements. */
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+/** @constant {number} VIEWBOX_WIDTH Width of the profile's coordinate system. */
+const VIEWBOX_WIDTH = 1000;
+
+/** @constant {number} VIEWBOX_HEIGHT Height of the profile's coordinate system. */
+const VIEWBOX_HEIGHT = 100;
+
+/** @constant {number} PERCENTAGE_FACTOR Factor to convert ratio to percentage. */
+const PERCENTAGE_FACTOR = 100;
+
+/**
+ * Strip showing the elevation along a track and the current position on it.
+ */
+export default class ElevationProfile {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {string} [params.languageTag] Language tag for number formatting.
+   * @param {object[]} params.track Track points ({ latitude: number, longitude: number, elevation: number|null }).
+   */
+  constructor(params = {}) {
+    this.params = extend({
+      track: [],
+    }, params);
+
+    this.distances = getTrackDistances(this.params.track);
+    this.totalDistance = this.distances[this.distances.length - 1] ?? 0;
+
+    // Spreading recorded tracks with many points into Math.min/Math.max would exceed the call stack
+    const { minimum, maximum } = this.params.track
+      .map((point) => point.elevation)
+      .filter((elevation) => elevation !== null)
+      .reduce((extremes, elevation) => {
+        return { minimum: Math.min(extremes.minimum, elevation), maximum: Math.max(extremes.maximum, elevation) };
+      }, { minimum: Infinity, maximum: -Infinity });
+    this.minimum = minimum;
+    this.maximum = maximum;
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-elevation-profile');
+    this.dom.setAttribute('role', 'img');
+
+    this.dom.append(this.buildGraph());
+
+    this.positionMarker = document.createElement('div');
+    this.positionMarker.classList.add('h5p-story-map-elevation-profile-position');
+    this.dom.append(this.positionMarker);
+
+    const maximumLabel = document.createElement('span');
+    maximumLabel.classList.add('h5p-story-map-elevation-profile-label', 'maximum');
+    maximumLabel.setAttribute('aria-hidden', 'true');
+    maximumLabel.innerText = this.formatElevation(this.maximum);
+    this.dom.append(maximumLabel);
+
+    const minimumLabel = document.createElement('span');
+    minimumLabel.classList.add('h5p-story-map-elevation-profile-label', 'minimum');
+    minimumLabel.setAttribute('aria-hidden', 'true');
+    minimumLabel.innerText = this.formatElevation(this.minimum);
+    this.dom.append(minimumLabel);
+
+    this.setPosition(-1);
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Elevation profile DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Determine whether a track contains elevation data.
+   * @param {object[]} track Track points ({ elevation: number|null }).
+   * @returns {boolean} True, if track contains elevation data.
+   */
+  static hasElevation(track = []) {
+    return track.some((point) => point.elevation !== null);
+  }
+
+  /**
+   * Build the graph of the elevation over the distance.
+   * @returns {SVGElement} Graph.
+   */
+  buildGraph() {
+    const elevationRange = (this.maximum - this.minimum) || 1;
+
+    const points = this.params.track
+      .map((point, index) => {
+        if (point.elevation === null) {
+          return null;
+        }
+
+        return {
+          x: this.totalDistance ? this.distances[index] / this.totalDistance * VIEWBOX_WIDTH : 0,
+          y: VIEWBOX_HEIGHT - (point.elevation - this.minimum) / elevationRange * VIEWBOX_HEIGHT,
+        };
+      })
+      .filter((point) => point !== null);
+
+    const graph = document.createElementNS(SVG_NAMESPACE, 'svg');
+    graph.classList.add('h5p-story-map-elevation-profile-graph');
+    graph.setAttribute('viewBox', `0 0 ${VIEWBOX_WIDTH} ${VIEWBOX_HEIGHT}`);
+    graph.setAttribute('preserveAspectRatio', 'none');
+    graph.setAttribute('aria-hidden', 'true');
+
+    const area = document.createElementNS(SVG_NAMESPACE, 'path');
+    area.classList.add('h5p-story-map-elevation-profile-area');
+    // Close the line along the bottom to get an area
+    const outline = [
+      { x: points[0].x, y: VIEWBOX_HEIGHT },
+      ...points,
+      { x: points[points.length - 1].x, y: VIEWBOX_HEIGHT },
+    ];
+    area.setAttribute('d', `M ${outline.map((point) => `${point.x},${point.y}`).join(' L ')} Z`);
+    graph.append(area);
+
+    return graph;
+  }
+
+  /**
+   * Set the current position on the track.
+   * @param {number} index Index of the track point or -1 to show no position.
+   */
+  setPosition(index) {
+    const point = this.params.track[index];
+
+    let label = this.params.dictionary.get('a11y.elevationProfile')
+      .replace('@minimum', this.formatElevation(this.minimum))
+      .replace('@maximum', this.formatElevation(this.maximum));
+
+    this.positionMarker.classList.toggle('display-none', !point);
+    if (point) {
+      const ratio = this.totalDistance ? this.distances[index] / this.totalDistance : 0;
+      this.positionMarker.style.setProperty('--position', `${ratio * PERCENTAGE_FACTOR}%`);
+
+      label = `${label} ${this.params.dictionary.get('a11y.elevationProfilePosition')
+        .replace('@distance', formatDistance(this.distances[index], this.params.languageTag))
+        .replace('@total', formatDistance(this.totalDistance, this.params.languageTag))}`;
+    }
+
+    this.dom.setAttribute('aria-label', label);
+  }
+
+  /**
+   * Format elevation for humans.
+   * @param {number} meters Elevation in meters.
+   * @returns {string} Formatted elevation.
+   */
+  formatElevation(meters) {
+    return `${Math.round(meters).toLocaleString(this.params.languageTag)} m`;
+  }
+}
@@ -0,0 +1,130 @@
+import { isEditor } from '@services/h5p-util.js';
+import { extend } from '@services/util.js';
+import './journal.scss';
+
+/**
+ * Text field for the user's reflection at a waypoint.
+ */
+export default class JournalEntry {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {object} params.globals Global values.
+   * @param {string} params.waypointId Id of the waypoint.
+   * @param {string} params.prompt Prompt set by the author.
+   * @param {string} [params.text] Text entered previously.
+   */
+  constructor(params = {}) {
+    this.params = extend({
+      prompt: '',
+      text: '',
+    }, params);
+
+    const uuid = H5P.createUUID();
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-journal-entry');
+
+    const label = document.createElement('label');
+    label.classList.add('h5p-story-map-journal-entry-prompt');
+    label.setAttribute('for', `h5p-story-map-journal-entry-${uuid}`);
+    label.innerText = this.params.prompt;
+    this.dom.append(label);
+
+    this.textarea = document.createElement('textarea');
+    this.textarea.classList.add('h5p-story-map-journal-entry-text');
+    this.textarea.setAttribute('id', `h5p-story-map-journal-entry-${uuid}`);
+    this.textarea.value = this.params.text;
+    this.textarea.addEventListener('change', () => {
+      this.triggerXAPIAnswered();
+    });
+    this.dom.append(this.textarea);
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Journal entry DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Get prompt.
+   * @returns {string} Prompt set by the author.
+   */
+  getPrompt() {
+    return this.params.prompt;
+  }
+
+  /**
+   * Get text entered by the user.
+   * @returns {string} Text.
+   */
+  getText() {
+    return this.textarea.value.trim();
+  }
+
+  /**
+   * Reset.
+   */
+  reset() {
+    this.textarea.value = '';
+  }
+
+  /**
+   * Trigger answered xAPI event.
+   */
+  triggerXAPIAnswered() {
+    if (isEditor()) {
+      return; // Don't send xAPI events when in editor.
+    }
+
+    this.params.globals.get('mainInstance')?.trigger(this.createXAPIEvent('answered'));
+  }
+
+  /**
+   * Get xAPI data.
+   * @returns {object} XAPI data.
+   */
+  getXAPIData() {
+    return { statement: this.createXAPIEvent('answered').data.statement };
+  }
+
+  /**
+   * Create an xAPI event for the journal entry.
+   * @param {string} verb Short id of the verb we want to trigger.
+   * @returns {H5P.XAPIEvent} XAPI event.
+   */
+  createXAPIEvent(verb) {
+    const mainInstance = this.params.globals.get('mainInstance');
+    const prompt = this.getPrompt();
+
+    const xAPIEvent = new H5P.XAPIEvent();
+    xAPIEvent.setActor();
+    xAPIEvent.setVerb(verb);
+
+    // Journal entry is no H5P content, so it's faked to be a subcontent of the main instance
+    xAPIEvent.setObject({
+      contentId: this.params.globals.get('contentId'),
+      subContentId: `${this.params.waypointId}-journal`,
+      getTitle: () => prompt,
+    });
+    xAPIEvent.setContext({ parent: mainInstance, libraryInfo: mainInstance?.libraryInfo });
+
+    // Fallback for h5p-php-reporting, expects en-US
+    const languageTag = mainInstance?.languageTag ?? 'en-US';
+    const localizedPrompt = { [languageTag]: prompt, 'en-US': prompt };
+
+    extend(xAPIEvent.getVerifiedStatementValue(['object', 'definition']), {
+      name: localizedPrompt,
+      description: localizedPrompt,
+      type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+      interactionType: 'long-fill-in',
+    });
+
+    xAPIEvent.data.statement.result = { response: this.getText() };
+
+    return xAPIEvent;
+  }
+}
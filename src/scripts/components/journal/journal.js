@@ -0,0 +1,90 @@
+import { extend } from '@services/util.js';
+import './journal.scss';
+
+/** @constant {string} DOCUMENT_STYLE Style of the downloaded journal document. */
+const DOCUMENT_STYLE = 'body { font-family: sans-serif; max-width: 40rem; margin: 2rem auto; } ' +
+  '.h5p-story-map-journal-prompt { font-style: italic; } ' +
+  '.h5p-story-map-journal-text { white-space: pre-wrap; }';
+
+/**
+ * Overview of all journal entries of the user.
+ */
+export default class Journal {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {string} [params.title] Title of the content.
+   * @param {object[]} params.entries Journal entries ({ title: string, prompt: string, text: string }).
+   */
+  constructor(params = {}) {
+    this.params = extend({
+      title: '',
+      entries: [],
+    }, params);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-journal');
+    this.dom.append(...this.buildEntries(document));
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Journal DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Build DOM elements for all entries.
+   * @param {Document} targetDocument Document to create elements in.
+   * @returns {HTMLElement[]} Elements.
+   */
+  buildEntries(targetDocument) {
+    return this.params.entries.map((entry) => {
+      const section = targetDocument.createElement('section');
+      section.classList.add('h5p-story-map-journal-section');
+
+      const title = targetDocument.createElement('h3');
+      title.textContent = entry.title;
+      section.append(title);
+
+      const prompt = targetDocument.createElement('p');
+      prompt.classList.add('h5p-story-map-journal-prompt');
+      prompt.textContent = entry.prompt;
+      section.append(prompt);
+
+      const text = targetDocument.createElement('p');
+      text.classList.add('h5p-story-map-journal-text');
+      text.classList.toggle('empty', !entry.text);
+      text.textContent = entry.text || this.params.dictionary.get('l10n.journalNoEntry');
+      section.append(text);
+
+      return section;
+    });
+  }
+
+  /**
+   * Get journal as HTML document, e.g. for downloading.
+   * @returns {string} HTML document.
+   */
+  getHTMLDocument() {
+    const title = `${this.params.dictionary.get('l10n.myJournal')}: ${this.params.title}`;
+    const htmlDocument = document.implementation.createHTMLDocument(title);
+
+    const charset = htmlDocument.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    htmlDocument.head.prepend(charset);
+
+    const style = htmlDocument.createElement('style');
+    style.textContent = DOCUMENT_STYLE;
+    htmlDocument.head.append(style);
+
+    const headline = htmlDocument.createElement('h1');
+    headline.textContent = title;
+    htmlDocument.body.append(headline, ...this.buildEntries(htmlDocument));
+
+    return `<!DOCTYPE html>\n${htmlDocument.documentElement.outerHTML}`;
+  }
+}
@@ -0,0 +1,98 @@
+import { extend } from '@services/util.js';
+
+/** @constant {number} TITLE_MAX_LENGTH Maximum length of pin titles. */
+const TITLE_MAX_LENGTH = 100;
+
+/** @constant {number} NOTE_MAX_LENGTH Maximum length of pin notes. */
+const NOTE_MAX_LENGTH = 1000;
+
+/**
+ * Form to edit the title and the note of a pin placed by the user.
+ */
+export default class LearnerPinForm {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {string} [params.title] Current title of the pin.
+   * @param {string} [params.note] Current note of the pin.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onSubmit] Callback when user submits the form.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({
+      title: '',
+      note: '',
+    }, params);
+
+    this.callbacks = extend({
+      onSubmit: () => {},
+    }, callbacks);
+
+    const uuid = H5P.createUUID();
+
+    this.dom = document.createElement('form');
+    this.dom.classList.add('h5p-story-map-learner-pin-form');
+    this.dom.addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.submit();
+    });
+
+    this.titleInput = document.createElement('input');
+    this.titleInput.setAttribute('type', 'text');
+    this.titleInput.setAttribute('maxlength', TITLE_MAX_LENGTH);
+    this.titleInput.value = this.params.title;
+    this.dom.append(...this.buildField({
+      id: `h5p-story-map-learner-pin-title-${uuid}`,
+      label: this.params.dictionary.get('l10n.pinTitle'),
+      input: this.titleInput,
+    }));
+
+    this.noteInput = document.createElement('textarea');
+    this.noteInput.setAttribute('maxlength', NOTE_MAX_LENGTH);
+    this.noteInput.value = this.params.note;
+    this.dom.append(...this.buildField({
+      id: `h5p-story-map-learner-pin-note-${uuid}`,
+      label: this.params.dictionary.get('l10n.pinNote'),
+      input: this.noteInput,
+    }));
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Form DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Build label and input of a form field.
+   * @param {object} params Parameters.
+   * @param {string} params.id Id of the input.
+   * @param {string} params.label Label text.
+   * @param {HTMLElement} params.input Input element.
+   * @returns {HTMLElement[]} Label and input.
+   */
+  buildField(params = {}) {
+    const label = document.createElement('label');
+    label.classList.add('h5p-story-map-learner-pin-label');
+    label.setAttribute('for', params.id);
+    label.innerText = params.label;
+
+    params.input.classList.add('h5p-story-map-learner-pin-input');
+    params.input.setAttribute('id', params.id);
+
+    return [label, params.input];
+  }
+
+  /**
+   * Submit title and note that were entered.
+   */
+  submit() {
+    this.callbacks.onSubmit({
+      title: this.titleInput.value.trim(),
+      note: this.noteInput.value.trim(),
+    });
+  }
+}
@@ -0,0 +1,277 @@
+import L from 'leaflet';
+import Dialog from '@components/dialog/dialog.js';
+import { createMarkerIcon } from '@components/map/marker-icon.js';
+import Screenreader from '@services/screenreader.js';
+import { extend } from '@services/util.js';
+import LearnerPinForm from './learner-pin-form.js';
+import './learner-pins.scss';
+
+/** @constant {object} PIN_ICON Icon of pins placed by the user. */
+const PIN_ICON = createMarkerIcon('h5p-story-map-learner-pin');
+
+/**
+ * Pins with personal notes that the user can place, edit, move and delete on the map.
+ */
+export default class LearnerPins {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} params.globals Global values.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {object} [params.previousState] Previous state.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onChanged] Callback when pins were changed.
+   * @param {function} [callbacks.onCommented] Callback when the note of a pin was changed.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({
+      previousState: {},
+    }, params);
+
+    this.callbacks = extend({
+      onChanged: () => {},
+      onCommented: () => {},
+    }, callbacks);
+
+    this.pins = [];
+
+    this.dialog = new Dialog({ dictionary: this.params.dictionary });
+
+    (this.params.previousState.pins ?? []).forEach((pinState) => {
+      this.addPin(pinState);
+    });
+  }
+
+  /**
+   * Get DOM of the dialog to edit pins.
+   * @returns {HTMLElement} Dialog DOM.
+   */
+  getDialogDOM() {
+    return this.dialog.getDOM();
+  }
+
+  /**
+   * Get geo map that the pins are placed on.
+   * @returns {object} Geo map.
+   */
+  getGeoMap() {
+    return this.params.globals.get('geoMap');
+  }
+
+  /**
+   * Add pin at the center of the map and let the user edit it.
+   */
+  addPinAtCenter() {
+    const center = this.getGeoMap()?.getCoordinates();
+    if (!center) {
+      return;
+    }
+
+    const pin = this.addPin(center);
+    Screenreader.read(this.params.dictionary.get('a11y.pinAdded'));
+    this.callbacks.onChanged();
+
+    this.showEditDialog(pin);
+  }
+
+  /**
+   * Add pin to the map.
+   * @param {object} params Parameters.
+   * @param {string} [params.id] Id of the pin.
+   * @param {number} params.latitude Latitude.
+   * @param {number} params.longitude Longitude.
+   * @param {string} [params.title] Title.
+   * @param {string} [params.note] Note.
+   * @returns {object} Pin.
+   */
+  addPin(params = {}) {
+    const marker = L.marker([params.latitude, params.longitude], { icon: PIN_ICON, draggable: true });
+    this.getGeoMap()?.addLayer(marker);
+
+    const pin = {
+      id: params.id ?? H5P.createUUID(),
+      title: params.title ?? '',
+      note: params.note ?? '',
+      marker: marker,
+    };
+
+    marker.on('click', () => {
+      this.showEditDialog(pin);
+    });
+
+    marker.on('keydown', (event) => {
+      if (event.originalEvent.key === 'Enter' || event.originalEvent.key === ' ') {
+        event.originalEvent.preventDefault();
+        this.showEditDialog(pin);
+      }
+    });
+
+    marker.on('dragend', () => {
+      Screenreader.read(this.params.dictionary.get('a11y.pinMoved'));
+      this.callbacks.onChanged();
+    });
+
+    pin.tooltip = H5P.Tooltip?.(marker.getElement(), { position: 'bottom' });
+
+    this.pins.push(pin);
+    this.updatePinLabel(pin);
+
+    return pin;
+  }
+
+  /**
+   * Update the accessible label of a pin.
+   * @param {object} pin Pin.
+   */
+  updatePinLabel(pin) {
+    const title = pin.title || this.params.dictionary.get('l10n.unnamedPin');
+
+    pin.marker.getElement()?.setAttribute(
+      'aria-label', this.params.dictionary.get('a11y.learnerPin').replace('@title', title),
+    );
+  }
+
+  /**
+   * Show dialog to edit, move or delete a pin.
+   * @param {object} pin Pin.
+   */
+  showEditDialog(pin) {
+    pin.tooltip?.hide();
+
+    const form = new LearnerPinForm(
+      {
+        dictionary: this.params.dictionary,
+        title: pin.title,
+        note: pin.note,
+      },
+      {
+        onSubmit: (values) => {
+          this.savePin(pin, values);
+        },
+      },
+    );
+
+    this.dialog.show({
+      headline: this.params.dictionary.get('l10n.editPin'),
+      content: form.getDOM(),
+      buttons: [
+        {
+          label: this.params.dictionary.get('l10n.save'),
+          onClick: () => {
+            form.submit();
+          },
+        },
+        {
+          label: this.params.dictionary.get('l10n.movePinToCenter'),
+          onClick: () => {
+            this.movePinToCenter(pin);
+          },
+        },
+        {
+          label: this.params.dictionary.get('l10n.deletePin'),
+          onClick: () => {
+            this.deletePin(pin);
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Save title and note of a pin.
+   * @param {object} pin Pin.
+   * @param {object} values Values ({ title: string, note: string }).
+   */
+  savePin(pin, values = {}) {
+    const hasNoteChanged = values.note !== pin.note;
+
+    pin.title = values.title ?? '';
+    pin.note = values.note ?? '';
+    this.updatePinLabel(pin);
+
+    this.dialog.hide();
+    Screenreader.read(this.params.dictionary.get('a11y.pinSaved'));
+    this.callbacks.onChanged();
+
+    if (hasNoteChanged && pin.note) {
+      this.callbacks.onCommented(this.getPinState(pin));
+    }
+  }
+
+  /**
+   * Move pin to the center of the map.
+   * @param {object} pin Pin.
+   */
+  movePinToCenter(pin) {
+    const center = this.getGeoMap()?.getCoordinates();
+    if (!center) {
+      return;
+    }
+
+    pin.marker.setLatLng([center.latitude, center.longitude]);
+
+    this.dialog.hide();
+    Screenreader.read(this.params.dictionary.get('a11y.pinMoved'));
+    this.callbacks.onChanged();
+  }
+
+  /**
+   * Delete pin.
+   * @param {object} pin Pin.
+   */
+  deletePin(pin) {
+    this.removePin(pin);
+
+    this.dialog.hide({ skipFocus: true });
+    Screenreader.read(this.params.dictionary.get('a11y.pinDeleted'));
+    this.callbacks.onChanged();
+  }
+
+  /**
+   * Remove pin from the map.
+   * @param {object} pin Pin.
+   */
+  removePin(pin) {
+    pin.tooltip?.hide();
+    this.getGeoMap()?.removeLayer(pin.marker);
+    this.pins = this.pins.filter((existingPin) => existingPin !== pin);
+  }
+
+  /**
+   * Get state of a pin.
+   * @param {object} pin Pin.
+   * @returns {object} State ({ id: string, latitude: number, longitude: number, title: string, note: string }).
+   */
+  getPinState(pin) {
+    const latLng = pin.marker.getLatLng();
+
+    return {
+      id: pin.id,
+      latitude: latLng.lat,
+      longitude: latLng.lng,
+      title: pin.title,
+      note: pin.note,
+    };
+  }
+
+  /**
+   * Reset by removing all pins.
+   */
+  reset() {
+    this.dialog.hide({ skipFocus: true });
+
+    [...this.pins].forEach((pin) => {
+      this.removePin(pin);
+    });
+  }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    return {
+      pins: this.pins.map((pin) => this.getPinState(pin)),
+    };
+  }
+}
@@ -1,9 +1,73 @@
 import Screenreader from '@services/screenreader.js';
+import AccessCodeForm from '@components/access-code-form/access-code-form.js';
+import Cover from '@components/cover/cover.js';
+import Dialog from '@components/dialog/dialog.js';
+import ElevationProfile from '@components/elevation-profile/elevation-profile.js';
+import Journal from '@components/journal/journal.js';
+import LearnerPins from '@components/learner-pins/learner-pins.js';
 import Map from '@components/map/map.js';
 import NavigationBar from '@components/navigation-bar/navigation-bar.js';
-import { extend } from '@services/util.js';
+import OnSiteStatus from '@components/on-site-status/on-site-status.js';
+import OrderStopsTask from '@components/map-tasks/order-stops-task.js';
+import Summary from '@components/summary/summary.js';
+import GeolocationTracker, {
+  ERROR_PERMISSION_DENIED, ERROR_UNSUPPORTED,
+} from '@services/geolocation-tracker.js';
+import { formatDistance, getBearing, getDistance } from '@services/geo-util.js';
+import { loadGPXTrack } from '@services/gpx-track.js';
+import { createGeoJSON, createGPX } from '@services/journey-export.js';
+import { isEditor } from '@services/h5p-util.js';
+import { downloadFile, extend } from '@services/util.js';
 import './main.scss';
 
+/** @constant {string} UNLOCK_MODE_FREE All waypoints can be opened at any time. */
+const UNLOCK_MODE_FREE = 'free';
+
+/** @constant {string} UNLOCK_MODE_VISITED Next waypoint is unlocked once the previous waypoint was visited. */
+const UNLOCK_MODE_VISITED = 'visited';
+
+/** @constant {string} UNLOCK_MODE_COMPLETED Next waypoint is unlocked once the previous waypoint was completed. */
+const UNLOCK_MODE_COMPLETED = 'completed';
+
+/** @constant {string} START_ACTION_SHOW_ROUTE Start action to show whole route. */
+const START_ACTION_SHOW_ROUTE = 'showRoute';
+
+/** @constant {string} COMPLETION_MODE_CUSTOM Completion criteria are set by the author. */
+const COMPLETION_MODE_CUSTOM = 'custom';
+
+/** @constant {string} JOURNAL_FILE_NAME Name of the file that the journal is downloaded as. */
+const JOURNAL_FILE_NAME = 'journal.html';
+
+/** @constant {string} JOURNEY_FILE_NAME Name of the file that the journey is downloaded as, without extension. */
+const JOURNEY_FILE_NAME = 'journey';
+
+/** @constant {number} DEFAULT_UNLOCK_RADIUS_METERS Default radius around waypoints to unlock them on site. */
+const DEFAULT_UNLOCK_RADIUS_METERS = 30;
+
+/** @constant {string} REVEAL_MODE_VISIBLE Waypoint is visible from the start. */
+const REVEAL_MODE_VISIBLE = 'visible';
+
+/** @constant {string} REVEAL_MODE_PREVIOUS_TASK_PASSED Revealed once tasks of a previous waypoint were passed. */
+const REVEAL_MODE_PREVIOUS_TASK_PASSED = 'previousTaskPassed';
+
+/** @constant {string} REVEAL_MODE_ZOOM Waypoint is revealed once the user zoomed into its area. */
+const REVEAL_MODE_ZOOM = 'zoom';
+
+/** @constant {string} REVEAL_MODE_CLICK Waypoint is revealed once the user clicked close to it. */
+const REVEAL_MODE_CLICK = 'click';
+
+/** @constant {number} DEFAULT_REVEAL_ZOOM_LEVEL Default zoom level that reveals waypoints. */
+const DEFAULT_REVEAL_ZOOM_LEVEL = 15;
+
+/** @constant {number} DEFAULT_REVEAL_RADIUS_METERS Default radius around waypoints that reveals them when clicked. */
+const DEFAULT_REVEAL_RADIUS_METERS = 100;
+
+/** @constant {number} DEFAULT_REVEAL_MIN_SCORE_PERCENTAGE Default score percentage required to reveal waypoints. */
+const DEFAULT_REVEAL_MIN_SCORE_PERCENTAGE = 100;
+
+/** @constant {number} PERCENTAGE_FACTOR Factor to convert ratio to percentage. */
+const PERCENTAGE_FACTOR = 100;
+
 /**
  * Main DOM component incl. main controller.
  */
@@ -19,12 +83,21 @@ export default class Main {
       onRequestFullScreen: () => {},
       onCompleted: () => {},
       onProgressed: () => {},
+      onPinCommented: () => {},
     }, callbacks);
 
     this.openWaypointContentIndex = -1;
     this.lastMarkerIndex = this.params.map.waypoints.length - 1;
     this.wasCompleted = false;
     this.wasAnswerGiven = false;
+    this.werePinsChanged = false;
+    this.route = [];
+    this.visitedWaypointIds = [];
+    this.journey = [];
+    this.timeSpent = {};
+    this.waypointOpenedAt = null;
+    this.hasStarted = this.params.previousState?.hasStarted ??
+      (this.params.previousState?.visitedWaypointIds?.length ?? 0) > 0;
 
     this.dom = document.createElement('div');
     this.dom.classList.add('h5p-story-map-main');
@@ -34,6 +107,12 @@ export default class Main {
         globals: this.params.globals,
         dictionary: this.params.dictionary,
         userCanUseMiniMap: this.params.behaviour.userCanUseMiniMap,
+        numberOfWaypoints: this.params.map.waypoints.length,
+        userCanAddPins: this.params.behaviour.learnerPins?.enabled,
+        // Clicking the map is not possible with the keyboard
+        userCanSearchMap: this.params.map.waypoints.some((waypoint) => waypoint.revealMode === REVEAL_MODE_CLICK),
+        hasJournal: this.params.map.waypoints.some((waypoint) => !!waypoint.journalPrompt),
+        userCanExportJourney: this.params.behaviour.userCanExportJourney,
       },
       {
         onClickButtonLeft: () => {
@@ -44,6 +123,24 @@ export default class Main {
         },
         onClickButtonReset: () => {
           this.reset();
+          if (this.cover?.isVisible()) {
+            this.cover.focus();
+          }
+        },
+        onClickButtonSummary: () => {
+          this.showSummary();
+        },
+        onClickButtonAddPin: () => {
+          this.learnerPins?.addPinAtCenter();
+        },
+        onClickButtonSearchHere: () => {
+          this.searchAtMapCenter();
+        },
+        onClickButtonJournal: () => {
+          this.showJournal();
+        },
+        onClickButtonExportJourney: () => {
+          this.showJourneyExport();
         },
         onClickButtonMiniMap: () => {
           this.toggleMiniMap();
@@ -60,35 +157,155 @@ export default class Main {
         globals: this.params.globals,
         dictionary: this.params.dictionary,
         waypoints: this.params.map.waypoints,
+        overlays: this.params.map.overlays,
         zoomLevelDefault: this.params.map.zoomLevelDefault,
         mapStyle: this.params.visual.mapStyle,
         userCanUseMiniMap: this.params.behaviour.userCanUseMiniMap,
-        showPaths: this.params.behaviour.showPaths,
+        // Paths would give away the solution of ordering the waypoints
+        showPaths: this.params.behaviour.showPaths && !this.params.behaviour.orderStopsTask,
+        resumeMediaOnReturn: this.params.behaviour.resumeMediaOnReturn,
+        fogOfWar: this.params.behaviour.fogOfWar,
         previousState: this.params.previousState?.map || {},
       },
       {
         onWaypointContentOpened: (index) => {
           this.handleWaypointContentOpened(index);
         },
+        onWaypointLocked: (waypoint) => {
+          this.handleWaypointLocked(waypoint);
+        },
         onMarkerFocus: (waypoint) => {
-          this.map.centerOnWaypoint(waypoint, this.getCurrentOpenWaypointContentIndex !== -1);
+          this.map.centerOnWaypoint(waypoint, this.getCurrentOpenWaypointContentIndex() !== -1);
         },
         onTaskCompleted: () => {
+          this.unlockNextWaypoints(this.openWaypointContentIndex);
+          this.revealWaypointsAfterPassedTasks();
           this.checkCompleted();
         },
+        onMapClick: (coordinates) => {
+          this.revealWaypointsNearby(coordinates);
+        },
+        onViewChanged: () => {
+          this.revealWaypointsInView();
+        },
       },
     );
     this.dom.append(this.map.getDOM());
 
+    if (this.params.behaviour.orderStopsTask && this.params.map.waypoints.length > 1) {
+      this.orderStopsTask = new OrderStopsTask(
+        {
+          globals: this.params.globals,
+          dictionary: this.params.dictionary,
+          subContentId: 'order-stops',
+          parent: this.params.globals.get('mainInstance'),
+          previousState: this.params.previousState?.orderStopsTask,
+        },
+        {
+          onAnswered: () => {
+            this.updateButtonDisabledStates();
+            this.checkCompleted();
+          },
+        },
+      );
+      this.dom.insertBefore(this.orderStopsTask.getDOM(), this.map.getDOM());
+    }
+
+    if (this.params.track?.gpxFile?.path) {
+      this.loadTrack().catch((error) => {
+        console.warn('Story Map: Could not show the GPX track.', error);
+      });
+    }
+
+    this.isOnSiteMode = !!this.params.behaviour.onSite?.enabled;
+    this.isUnlockedWithoutLocation = false;
+    this.siteUnlockedWaypointIds = [];
+    this.codeUnlockedWaypointIds = [];
+
+    if (this.isOnSiteMode) {
+      this.onSiteStatus = new OnSiteStatus(
+        { dictionary: this.params.dictionary },
+        {
+          onRetry: () => {
+            this.geolocationTracker.stop(); // Make the browser look up the location or ask for permission again
+            this.startTracking();
+          },
+        },
+      );
+      this.dom.insertBefore(this.onSiteStatus.getDOM(), this.map.getDOM());
+
+      this.geolocationTracker = new GeolocationTracker(
+        { provider: this.params.geolocationProvider },
+        {
+          onPositionChanged: (position) => {
+            this.handlePositionChanged(position);
+          },
+          onError: (errorCode) => {
+            this.handleGeolocationError(errorCode);
+          },
+        },
+      );
+    }
+
+    this.discoveredWaypointIds = [];
+    this.updateHiddenStates();
+
+    this.unlockedWaypointIds = this.getInitiallyUnlockedWaypointIds();
+    this.updateLockStates();
+
+    if (this.params.behaviour.learnerPins?.enabled) {
+      this.learnerPins = new LearnerPins(
+        {
+          globals: this.params.globals,
+          dictionary: this.params.dictionary,
+          previousState: this.params.previousState?.learnerPins,
+        },
+        {
+          onChanged: () => {
+            this.werePinsChanged = true;
+          },
+          onCommented: (pin) => {
+            if (this.params.behaviour.learnerPins.reportNotes) {
+              this.callbacks.onPinCommented(pin);
+            }
+          },
+        },
+      );
+      this.dom.append(this.learnerPins.getDialogDOM());
+    }
+
+    this.dialog = new Dialog({ dictionary: this.params.dictionary });
+    this.dom.append(this.dialog.getDOM());
+
+    if (this.params.intro.showIntro) {
+      this.cover = new Cover(
+        {
+          dictionary: this.params.dictionary,
+          globals: this.params.globals,
+          title: this.params.intro.title,
+          introduction: this.params.intro.introduction,
+          image: this.params.intro.image,
+          imageAltText: this.params.intro.imageAltText,
+        },
+        {
+          onStart: () => {
+            this.start();
+          },
+        },
+      );
+      this.dom.append(this.cover.getDOM());
+      this.toggleCover(!this.hasStarted);
+    }
+
+    if (!this.cover?.isVisible()) {
+      this.startTracking();
+    }
+
     // Screenreader for polite screen reading
     document.body.append(Screenreader.getDOM());
 
     this.addKeyboardShortcuts();
     this.updateButtonDisabledStates();
-
-    this.containsAnyTask = this.map.getContentBundles().some((contentBundle) => {
-      return contentBundle.containsAnyTask();
-    });
   }
 
   /**
@@ -99,6 +316,47 @@ export default class Main {
     return this.dom;
   }
 
+  /**
+   * Load GPX track that the paths between waypoints follow and show its elevation profile.
+   */
+  async loadTrack() {
+    const track = await loadGPXTrack(
+      H5P.getPath(this.params.track.gpxFile.path, this.params.globals.get('contentId')),
+    );
+
+    if (!track.length) {
+      return;
+    }
+
+    this.map.setTrack(track);
+
+    if (!this.params.track.showElevationProfile || !ElevationProfile.hasElevation(track)) {
+      return;
+    }
+
+    this.elevationProfile = new ElevationProfile({
+      dictionary: this.params.dictionary,
+      languageTag: this.params.globals.get('mainInstance')?.languageTag,
+      track: track,
+    });
+    this.map.getDOM().after(this.elevationProfile.getDOM());
+
+    this.updateElevationProfile();
+    this.params.globals.get('resize')();
+  }
+
+  /**
+   * Update the position on the elevation profile to the waypoint that was visited last.
+   */
+  updateElevationProfile() {
+    if (!this.elevationProfile) {
+      return;
+    }
+
+    const waypoint = this.map.getWaypointById(this.route[this.route.length - 1]);
+    this.elevationProfile.setPosition(waypoint ? this.map.getTrackPointIndex(waypoint) : -1);
+  }
+
   /**
    * Set fullscreen mode.
    * @param {boolean} shouldBeFullScreen Whether we should be in fullscreen mode.
@@ -123,30 +381,536 @@ export default class Main {
 
     this.navigationBar.setFullscreen(shouldBeFullScreen);
 
+    // The waypoint stays open when the fullscreen mode changes, so its media keeps playing
     window.requestAnimationFrame(() => {
       this.params.globals.get('resize')();
     });
   }
 
+  /**
+   * Toggle cover visibility.
+   * @param {boolean} shouldBeVisible If true, show cover, else hide it.
+   */
+  toggleCover(shouldBeVisible) {
+    if (!this.cover) {
+      return;
+    }
+
+    if (shouldBeVisible) {
+      this.cover.show();
+    }
+    else {
+      this.cover.hide();
+    }
+
+    // Content below the cover must not be reachable while the cover is shown
+    this.navigationBar.getDOM().toggleAttribute('inert', shouldBeVisible);
+    this.map.getDOM().toggleAttribute('inert', shouldBeVisible);
+  }
+
+  /**
+   * Focus cover if it is visible, else the navigation bar.
+   */
+  focus() {
+    if (this.cover?.isVisible()) {
+      this.cover.focus();
+    }
+    else {
+      this.navigationBar.focusFirstButton();
+    }
+  }
+
+  /**
+   * Start the tour after the cover was shown.
+   */
+  start() {
+    this.hasStarted = true;
+    this.toggleCover(false);
+    this.startTracking();
+
+    this.params.globals.get('resize')();
+
+    if (this.params.intro.startAction === START_ACTION_SHOW_ROUTE || this.isOrderingStops()) {
+      this.map.fitWaypoints();
+    }
+    else {
+      this.map.openWaypointContentByIndex(0);
+    }
+
+    this.navigationBar.focusFirstButton();
+  }
+
   /**
    * Handle waypoint content opened.
    * @param {number} index Index of opened waypoint.
    */
   handleWaypointContentOpened(index) {
     this.wasAnswerGiven = true;
+    this.hasStarted = true;
 
+    this.updateTimeSpent();
     this.openWaypointContentIndex = index;
+    this.waypointOpenedAt = Date.now();
+
+    const waypointId = this.map.getWaypointByIndex(index)?.getId();
+    if (waypointId && this.route[this.route.length - 1] !== waypointId) {
+      this.route.push(waypointId);
+    }
+
+    this.updateElevationProfile();
+
+    if (waypointId && this.journey[this.journey.length - 1]?.id !== waypointId) {
+      this.journey.push({ id: waypointId, timestamp: Date.now() });
+    }
+
+    if (waypointId && !this.visitedWaypointIds.includes(waypointId)) {
+      this.visitedWaypointIds.push(waypointId);
+      this.updateVisitedStates();
+    }
+
     this.updateButtonDisabledStates();
 
     const textToRead = this.params.dictionary.get('a11y.openedContent')
       .replace('@title', this.map.getWaypointByIndex(index)?.getTitle() || '');
     Screenreader.read(textToRead);
 
-    this.callbacks.onProgressed(index);
+    this.callbacks.onProgressed(index, this.route);
 
+    this.unlockNextWaypoints(index);
+    this.updateOnSiteStatus();
     this.checkCompleted();
   }
 
+  /**
+   * Handle click on locked waypoint.
+   * @param {object} waypoint Waypoint that is locked.
+   */
+  handleWaypointLocked(waypoint) {
+    if (this.isLockedSequentially(waypoint)) {
+      const key = this.params.behaviour.unlockMode === UNLOCK_MODE_VISITED ?
+        'a11y.waypointLockedVisited' :
+        'a11y.waypointLockedCompleted';
+
+      Screenreader.read(this.params.dictionary.get(key).replace('@title', waypoint.getTitle()));
+    }
+    else if (this.isLockedOnSite(waypoint)) {
+      Screenreader.read(this.params.dictionary.get('a11y.waypointLockedOnSite').replace('@title', waypoint.getTitle()));
+    }
+    else if (this.isLockedByCode(waypoint)) {
+      this.showAccessCodePrompt(waypoint);
+    }
+  }
+
+  /**
+   * Determine whether a waypoint is locked because the previous waypoint was not visited or completed yet.
+   * @param {object} waypoint Waypoint.
+   * @returns {boolean} True, if waypoint is locked sequentially.
+   */
+  isLockedSequentially(waypoint) {
+    return this.params.behaviour.unlockMode !== UNLOCK_MODE_FREE &&
+      !this.unlockedWaypointIds.includes(waypoint.getId());
+  }
+
+  /**
+   * Determine whether a waypoint is locked because its access code was not entered yet.
+   * @param {object} waypoint Waypoint.
+   * @returns {boolean} True, if waypoint is locked by access code.
+   */
+  isLockedByCode(waypoint) {
+    return waypoint.getAccessCode() !== null && !this.codeUnlockedWaypointIds.includes(waypoint.getId());
+  }
+
+  /**
+   * Determine whether a waypoint can be unlocked by the user entering its access code right now.
+   * @param {object} waypoint Waypoint.
+   * @returns {boolean} True, if only the access code is missing to unlock the waypoint.
+   */
+  canBeUnlockedByCode(waypoint) {
+    return this.isLockedByCode(waypoint) && !this.isLockedSequentially(waypoint) && !this.isLockedOnSite(waypoint);
+  }
+
+  /**
+   * Ask user for the access code of a waypoint and open the waypoint if it is correct.
+   * @param {object} waypoint Waypoint.
+   */
+  showAccessCodePrompt(waypoint) {
+    const form = new AccessCodeForm(
+      {
+        dictionary: this.params.dictionary,
+        title: waypoint.getTitle(),
+      },
+      {
+        onSubmit: (code) => {
+          if (code.trim().toLowerCase() !== waypoint.getAccessCode()) {
+            form.setError(this.params.dictionary.get('l10n.accessCodeIncorrect'));
+            return;
+          }
+
+          this.codeUnlockedWaypointIds.push(waypoint.getId());
+          this.updateLockStates();
+
+          Screenreader.read(
+            this.params.dictionary.get('a11y.waypointUnlocked').replace('@title', waypoint.getTitle()),
+          );
+          this.map.openWaypointContent(waypoint);
+          this.dialog.hide({ skipFocus: true });
+        },
+      },
+    );
+
+    this.dialog.show({
+      headline: this.params.dictionary.get('l10n.accessCodeRequired'),
+      content: form.getDOM(),
+      buttons: [
+        {
+          label: this.params.dictionary.get('l10n.unlock'),
+          onClick: () => {
+            form.submit();
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Start tracking the user's position for the on-site mode.
+   */
+  startTracking() {
+    if (!this.isOnSiteMode) {
+      return;
+    }
+
+    if (isEditor()) {
+      // Don't ask authors for their location
+      this.onSiteStatus.setMessage(this.params.dictionary.get('l10n.locationEditorPreview'));
+      return;
+    }
+
+    this.onSiteStatus.setLocating();
+    this.geolocationTracker.start();
+  }
+
+  /**
+   * Handle new position of the user in on-site mode.
+   * @param {object} position Position ({ latitude: number, longitude: number, accuracy: number }).
+   */
+  handlePositionChanged(position) {
+    if (this.isUnlockedWithoutLocation) {
+      this.isUnlockedWithoutLocation = false; // User allowed access after retrying
+      this.updateLockStates();
+    }
+
+    this.map.setUserPosition(position);
+    this.unlockWaypointsNearby(position);
+    this.updateOnSiteStatus();
+  }
+
+  /**
+   * Handle position of the user not being available in on-site mode.
+   * @param {string} errorCode Error code.
+   */
+  handleGeolocationError(errorCode) {
+    if (this.geolocationTracker.getPosition() && errorCode !== ERROR_PERMISSION_DENIED) {
+      return; // Temporary hiccup, last known position is still shown
+    }
+
+    let key = 'l10n.locationUnavailable';
+    if (errorCode === ERROR_PERMISSION_DENIED) {
+      key = 'l10n.locationPermissionDenied';
+      this.map.setUserPosition(null);
+    }
+    else if (errorCode === ERROR_UNSUPPORTED) {
+      key = 'l10n.locationUnsupported';
+    }
+
+    let message = this.params.dictionary.get(key);
+
+    // No position will arrive unless the user changes settings, so the author may have chosen not to lock waypoints
+    const isLocationLost = errorCode === ERROR_PERMISSION_DENIED || errorCode === ERROR_UNSUPPORTED;
+    if (isLocationLost && this.params.behaviour.onSite?.unlockWithoutLocation) {
+      this.isUnlockedWithoutLocation = true;
+      this.updateLockStates();
+      message = `${message} ${this.params.dictionary.get('l10n.waypointsUnlockedWithoutLocation')}`;
+    }
+
+    this.onSiteStatus.setError(message, { canRetry: errorCode !== ERROR_UNSUPPORTED });
+    Screenreader.read(message);
+  }
+
+  /**
+   * Get the radius around a waypoint that the user needs to be in to unlock it on site.
+   * @param {object} waypoint Waypoint.
+   * @returns {number} Radius in meters.
+   */
+  getUnlockRadius(waypoint) {
+    return waypoint.getUnlockRadius() ?? this.params.behaviour.onSite?.unlockRadius ?? DEFAULT_UNLOCK_RADIUS_METERS;
+  }
+
+  /**
+   * Unlock waypoints that the user is close enough to in on-site mode.
+   * @param {object} [position] Position ({ latitude: number, longitude: number }).
+   */
+  unlockWaypointsNearby(position) {
+    if (!position) {
+      return;
+    }
+
+    const reachedWaypoints = this.map.getWaypoints().filter((waypoint) => {
+      return !this.siteUnlockedWaypointIds.includes(waypoint.getId()) &&
+        getDistance(position, waypoint.getCoordinates()) <= this.getUnlockRadius(waypoint);
+    });
+
+    if (!reachedWaypoints.length) {
+      return;
+    }
+
+    reachedWaypoints.forEach((waypoint) => {
+      this.siteUnlockedWaypointIds.push(waypoint.getId());
+
+      Screenreader.read(this.params.dictionary.get('a11y.waypointReached').replace('@title', waypoint.getTitle()));
+    });
+
+    this.updateLockStates();
+  }
+
+  /**
+   * Get the waypoint that the user should walk to next in on-site mode.
+   * @returns {object|undefined} Next waypoint.
+   */
+  getNextOnSiteWaypoint() {
+    const waypoint = this.map.getWaypointByIndex(this.openWaypointContentIndex);
+
+    return waypoint ? this.map.getSuccessors(waypoint)[0] : this.map.getWaypointByIndex(0);
+  }
+
+  /**
+   * Update distance and direction to the next waypoint in on-site mode.
+   */
+  updateOnSiteStatus() {
+    const position = this.geolocationTracker?.getPosition();
+    if (!position) {
+      return;
+    }
+
+    const nextWaypoint = this.getNextOnSiteWaypoint();
+    if (!nextWaypoint) {
+      this.onSiteStatus.setNextStop();
+      return;
+    }
+
+    if (this.isHiddenWaypoint(nextWaypoint)) {
+      this.onSiteStatus.setMessage(this.params.dictionary.get('l10n.nextStopHidden'));
+      return;
+    }
+
+    const coordinates = nextWaypoint.getCoordinates();
+    this.onSiteStatus.setNextStop({
+      title: nextWaypoint.getTitle(),
+      distance: formatDistance(
+        getDistance(position, coordinates), this.params.globals.get('mainInstance')?.languageTag,
+      ),
+      bearing: getBearing(position, coordinates),
+      isReached: this.siteUnlockedWaypointIds.includes(nextWaypoint.getId()),
+    });
+  }
+
+  /**
+   * Determine whether a waypoint is locked because the user has not been there yet in on-site mode.
+   * Waypoints are not locked in the editor preview or if the author chose to unlock them without location.
+   * @param {object} waypoint Waypoint.
+   * @returns {boolean} True, if waypoint is locked on site.
+   */
+  isLockedOnSite(waypoint) {
+    return this.isOnSiteMode && !this.isUnlockedWithoutLocation && !isEditor() &&
+      !this.siteUnlockedWaypointIds.includes(waypoint.getId());
+  }
+
+  /**
+   * Update visited states of all waypoints.
+   */
+  updateVisitedStates() {
+    this.map.getWaypoints().forEach((waypoint) => {
+      waypoint.setVisited(this.visitedWaypointIds.includes(waypoint.getId()));
+    });
+  }
+
+  /**
+   * Determine whether a waypoint is hidden because it has not been discovered yet.
+   * @param {object} waypoint Waypoint.
+   * @returns {boolean} True, if waypoint is hidden.
+   */
+  isHiddenWaypoint(waypoint) {
+    return waypoint.getRevealSettings().mode !== REVEAL_MODE_VISIBLE &&
+      !this.discoveredWaypointIds.includes(waypoint.getId());
+  }
+
+  /**
+   * Update hidden states of all waypoints.
+   * @param {object} [options] Options.
+   * @param {boolean} [options.animate] If true, animate revealing waypoints.
+   */
+  updateHiddenStates(options = {}) {
+    this.map.getWaypoints().forEach((waypoint) => {
+      waypoint.setHidden(this.isHiddenWaypoint(waypoint), { animate: options.animate });
+    });
+
+    this.map.updateConnectionVisibility();
+  }
+
+  /**
+   * Reveal hidden waypoints that meet a condition.
+   * @param {function} shouldReveal Function receiving waypoint and reveal settings, returns true to reveal.
+   */
+  revealWaypoints(shouldReveal) {
+    const discoveredWaypoints = this.map.getWaypoints().filter((waypoint) => {
+      return this.isHiddenWaypoint(waypoint) && shouldReveal(waypoint, waypoint.getRevealSettings());
+    });
+
+    if (!discoveredWaypoints.length) {
+      return;
+    }
+
+    discoveredWaypoints.forEach((waypoint) => {
+      this.discoveredWaypointIds.push(waypoint.getId());
+
+      Screenreader.read(
+        this.params.dictionary.get('a11y.waypointDiscovered').replace('@title', waypoint.getTitle()),
+      );
+    });
+
+    this.updateHiddenStates({ animate: true });
+    this.updateButtonDisabledStates();
+    this.updateOnSiteStatus();
+  }
+
+  /**
+   * Reveal hidden waypoints whose preceding waypoint's tasks were passed.
+   */
+  revealWaypointsAfterPassedTasks() {
+    this.revealWaypoints((waypoint, settings) => {
+      if (settings.mode !== REVEAL_MODE_PREVIOUS_TASK_PASSED) {
+        return false;
+      }
+
+      const minScorePercentage = settings.minScorePercentage ?? DEFAULT_REVEAL_MIN_SCORE_PERCENTAGE;
+
+      return this.map.getWaypoints().some((previousWaypoint) => {
+        if (!this.map.getSuccessors(previousWaypoint).includes(waypoint)) {
+          return false;
+        }
+
+        if (!previousWaypoint.getContentBundle().isCompleted()) {
+          return false;
+        }
+
+        const scorePercentage = this.getScorePercentage(previousWaypoint);
+        return scorePercentage === null || scorePercentage >= minScorePercentage;
+      });
+    });
+  }
+
+  /**
+   * Reveal hidden waypoints that are in view if the user zoomed in far enough.
+   */
+  revealWaypointsInView() {
+    const zoomLevel = this.map.getZoomLevel();
+
+    this.revealWaypoints((waypoint, settings) => {
+      return settings.mode === REVEAL_MODE_ZOOM &&
+        zoomLevel >= (settings.zoomLevel ?? DEFAULT_REVEAL_ZOOM_LEVEL) &&
+        this.map.isInView(waypoint);
+    });
+  }
+
+  /**
+   * Reveal hidden waypoints close to where the user clicked on the map.
+   * @param {object} coordinates Coordinates ({ latitude: number, longitude: number }).
+   */
+  revealWaypointsNearby(coordinates) {
+    this.revealWaypoints((waypoint, settings) => {
+      return settings.mode === REVEAL_MODE_CLICK &&
+        getDistance(coordinates, waypoint.getCoordinates()) <= (settings.radius ?? DEFAULT_REVEAL_RADIUS_METERS);
+    });
+  }
+
+  /**
+   * Reveal hidden waypoints close to the center of the map, so they can be found without a pointer.
+   */
+  searchAtMapCenter() {
+    const numberDiscoveredBefore = this.discoveredWaypointIds.length;
+
+    this.revealWaypointsNearby(this.map.getCenterCoordinates());
+
+    if (this.discoveredWaypointIds.length === numberDiscoveredBefore) {
+      Screenreader.read(this.params.dictionary.get('a11y.nothingFoundHere'));
+    }
+  }
+
+  /**
+   * Get ids of waypoints that are unlocked initially.
+   * @returns {string[]} Ids of waypoints that are unlocked initially.
+   */
+  getInitiallyUnlockedWaypointIds() {
+    const firstWaypoint = this.map.getWaypointByIndex(0);
+    return firstWaypoint ? [firstWaypoint.getId()] : [];
+  }
+
+  /**
+   * Unlock the waypoints following a waypoint if the unlock condition is met.
+   * @param {number} index Index of waypoint preceding the waypoints to unlock.
+   */
+  unlockNextWaypoints(index) {
+    const unlockMode = this.params.behaviour.unlockMode;
+    if (unlockMode === UNLOCK_MODE_FREE) {
+      return;
+    }
+
+    const waypoint = this.map.getWaypointByIndex(index);
+    if (!waypoint) {
+      return;
+    }
+
+    if (unlockMode === UNLOCK_MODE_COMPLETED && !waypoint.getContentBundle().isCompleted()) {
+      return;
+    }
+
+    // Targets of branches whose score condition is not met yet must remain locked
+    const branches = this.map.getBranches(waypoint);
+    const nextWaypoints = this.map.getSuccessors(waypoint).filter((nextWaypoint) => {
+      return !this.unlockedWaypointIds.includes(nextWaypoint.getId()) && (
+        !branches.length ||
+        branches.some((branch) => branch.waypoint === nextWaypoint && this.isBranchAvailable(waypoint, branch))
+      );
+    });
+
+    if (!nextWaypoints.length) {
+      return;
+    }
+
+    nextWaypoints.forEach((nextWaypoint) => {
+      this.unlockedWaypointIds.push(nextWaypoint.getId());
+
+      Screenreader.read(
+        this.params.dictionary.get('a11y.waypointUnlocked').replace('@title', nextWaypoint.getTitle()),
+      );
+    });
+
+    this.updateLockStates();
+  }
+
+  /**
+   * Update locked states of all waypoints.
+   */
+  updateLockStates() {
+    this.map.getWaypoints().forEach((waypoint) => {
+      waypoint.setLocked(
+        this.isLockedSequentially(waypoint) || this.isLockedOnSite(waypoint) || this.isLockedByCode(waypoint),
+      );
+    });
+
+    this.updateButtonDisabledStates();
+  }
+
   /**
    * Check if the task is completed.
    */
@@ -155,26 +919,287 @@ export default class Main {
       return;
     }
 
-    const wasCompleted = this.containsAnyTask ? this.haveAllTasksBeenCompleted() : this.isLastWaypointOpened();
-    if (!wasCompleted) {
+    if (!this.isCompletionCriteriaMet()) {
       return;
     }
 
     this.wasCompleted = true;
 
+    this.navigationBar.showButton('summary');
+    Screenreader.read(this.params.dictionary.get('a11y.summaryAvailable'));
+
     this.callbacks.onCompleted();
   }
 
+  /**
+   * Add time spent on currently open waypoint since last update.
+   */
+  updateTimeSpent() {
+    const waypointId = this.map.getWaypointByIndex(this.openWaypointContentIndex)?.getId();
+    if (!waypointId || this.waypointOpenedAt === null) {
+      return;
+    }
+
+    const now = Date.now();
+    this.timeSpent[waypointId] = (this.timeSpent[waypointId] ?? 0) + now - this.waypointOpenedAt;
+    this.waypointOpenedAt = now;
+  }
+
+  /**
+   * Show summary with results of all waypoints.
+   */
+  showSummary() {
+    this.updateTimeSpent();
+
+    const waypoints = this.map.getWaypoints().map((waypoint) => {
+      const contentBundle = waypoint.getContentBundle();
+
+      return {
+        title: waypoint.getTitle(),
+        hidden: this.isHiddenWaypoint(waypoint),
+        visited: this.visitedWaypointIds.includes(waypoint.getId()),
+        score: contentBundle.getScore(),
+        maxScore: contentBundle.getMaxScore(),
+        timeSpent: this.timeSpent[waypoint.getId()] ?? 0,
+      };
+    });
+
+    const summary = new Summary(
+      {
+        dictionary: this.params.dictionary,
+        waypoints: waypoints,
+      },
+      {
+        onRevisit: (index) => {
+          this.dialog.hide({ skipFocus: true });
+          this.map.openWaypointContentByIndex(index);
+        },
+      },
+    );
+
+    this.dialog.show({
+      headline: this.params.dictionary.get('l10n.summary'),
+      content: summary.getDOM(),
+      classes: ['h5p-story-map-dialog-summary'],
+      buttons: [
+        {
+          label: this.params.dictionary.get('l10n.showSolutions'),
+          onClick: () => {
+            this.dialog.hide();
+            this.showSolutions();
+          },
+        },
+        {
+          label: this.params.dictionary.get('l10n.retry'),
+          onClick: () => {
+            this.reset();
+            this.focus();
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Show journal with the entries of all waypoints.
+   */
+  showJournal() {
+    const entries = this.map.getWaypoints()
+      .filter((waypoint) => !this.isHiddenWaypoint(waypoint) && waypoint.getContentBundle().getJournalEntry() !== null)
+      .map((waypoint) => {
+        return { title: waypoint.getTitle(), ...waypoint.getContentBundle().getJournalEntry() };
+      });
+
+    const journal = new Journal({
+      dictionary: this.params.dictionary,
+      title: this.params.intro.title,
+      entries: entries,
+    });
+
+    this.dialog.show({
+      headline: this.params.dictionary.get('l10n.myJournal'),
+      content: journal.getDOM(),
+      buttons: [
+        {
+          label: this.params.dictionary.get('l10n.downloadJournal'),
+          onClick: () => {
+            downloadFile(journal.getHTMLDocument(), JOURNAL_FILE_NAME, 'text/html');
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Get the journey of the user with the waypoints in the order they were visited.
+   * @returns {object} Journey ({ title: string, stops: object[], notes: object[] }).
+   */
+  getJourney() {
+    const stops = this.journey
+      .map((stop) => ({ waypoint: this.map.getWaypointById(stop.id), timestamp: stop.timestamp }))
+      .filter((stop) => !!stop.waypoint && !this.isHiddenWaypoint(stop.waypoint))
+      .map((stop) => {
+        return {
+          ...stop.waypoint.getCoordinates(),
+          title: stop.waypoint.getTitle(),
+          timestamp: stop.timestamp,
+          note: stop.waypoint.getContentBundle().getJournalEntry()?.text,
+        };
+      });
+
+    return {
+      title: this.params.intro.title,
+      stops: stops,
+      notes: this.learnerPins?.getCurrentState().pins ?? [],
+    };
+  }
+
+  /**
+   * Let the user download the journey as GPX or GeoJSON file.
+   */
+  showJourneyExport() {
+    const journey = this.getJourney();
+    if (!journey.stops.length) {
+      this.dialog.show({
+        headline: this.params.dictionary.get('l10n.exportJourney'),
+        content: this.params.dictionary.get('l10n.journeyEmpty'),
+      });
+      return;
+    }
+
+    this.dialog.show({
+      headline: this.params.dictionary.get('l10n.exportJourney'),
+      content: this.params.dictionary.get('l10n.exportJourneyInstructions'),
+      buttons: [
+        {
+          label: this.params.dictionary.get('l10n.downloadGPX'),
+          description: this.params.dictionary.get('l10n.downloadGPXDescription'),
+          onClick: () => {
+            downloadFile(createGPX(journey), `${JOURNEY_FILE_NAME}.gpx`, 'application/gpx+xml');
+          },
+        },
+        {
+          label: this.params.dictionary.get('l10n.downloadGeoJSON'),
+          description: this.params.dictionary.get('l10n.downloadGeoJSONDescription'),
+          onClick: () => {
+            downloadFile(createGeoJSON(journey), `${JOURNEY_FILE_NAME}.geojson`, 'application/geo+json');
+          },
+        },
+      ],
+    });
+  }
+
+  /**
+   * Determine whether the completion criteria are met.
+   * @returns {boolean} True if the completion criteria are met.
+   */
+  isCompletionCriteriaMet() {
+    const criteria = this.params.behaviour.completion ?? {};
+
+    // Functions, so expensive checks like the score are only run if required
+    const checks = [];
+    if (criteria.mode === COMPLETION_MODE_CUSTOM) {
+      if (criteria.visitAllWaypoints) {
+        checks.push(() => this.getNumberOfVisitedWaypoints() === this.map.getWaypoints().length);
+      }
+
+      if (typeof criteria.minimumVisitedWaypoints === 'number') {
+        checks.push(() => this.getNumberOfVisitedWaypoints() >= criteria.minimumVisitedWaypoints);
+      }
+
+      if (criteria.completeAllTasks) {
+        checks.push(() => this.haveAllTasksBeenCompleted());
+      }
+
+      if (typeof criteria.passingScorePercentage === 'number') {
+        checks.push(() => this.isPassed());
+      }
+    }
+
+    if (!checks.length) {
+      return this.containsAnyTask() ?
+        this.haveAllTasksBeenCompleted() :
+        this.isLastWaypointOpened();
+    }
+
+    return checks.every((check) => check());
+  }
+
+  /**
+   * Determine whether the user passed.
+   * @returns {boolean} True if the user achieved the passing score or full score if no passing score is set.
+   */
+  isPassed() {
+    if (!this.containsAnyTask()) {
+      return true;
+    }
+
+    const passingScorePercentage = this.params.behaviour.completion?.mode === COMPLETION_MODE_CUSTOM ?
+      this.params.behaviour.completion.passingScorePercentage :
+      undefined;
+
+    // Getting the maximum score may require instantiating contents, so skip it if the result is obvious
+    const score = this.getScore();
+    if (score === 0 && passingScorePercentage !== 0) {
+      return false;
+    }
+
+    const maxScore = this.getMaxScore();
+    if (maxScore === 0) {
+      return true;
+    }
+
+    if (typeof passingScorePercentage !== 'number') {
+      return score >= maxScore;
+    }
+
+    return score / maxScore * PERCENTAGE_FACTOR >= passingScorePercentage;
+  }
+
+  /**
+   * Get number of waypoints that have been visited.
+   * @returns {number} Number of visited waypoints.
+   */
+  getNumberOfVisitedWaypoints() {
+    return this.visitedWaypointIds.length;
+  }
+
+  /**
+   * Determine whether any waypoint contains a task.
+   * @returns {boolean} True if any waypoint contains a task.
+   */
+  containsAnyTask() {
+    if (this.orderStopsTask) {
+      return true;
+    }
+
+    return this.map.getContentBundles().some((contentBundle) => {
+      return contentBundle.containsAnyTask();
+    });
+  }
+
   /**
    * Determine if all tasks have been completed.
    * @returns {boolean} True if all tasks have been completed.
    */
   haveAllTasksBeenCompleted() {
+    if (this.orderStopsTask && !this.orderStopsTask.getAnswerGiven()) {
+      return false;
+    }
+
     return this.map.getContentBundles().every((contentBundle) => {
       return contentBundle.isCompleted();
     });
   }
 
+  /**
+   * Determine whether the user is still ordering the waypoints.
+   * @returns {boolean} True, if the user is still ordering the waypoints.
+   */
+  isOrderingStops() {
+    return this.orderStopsTask?.isInProgress() ?? false;
+  }
+
   /**
    * Determine if the last waypoint content is opened.
    * @returns {boolean} True if the last waypoint content is opened.
@@ -188,7 +1213,15 @@ export default class Main {
    * @returns {boolean} True if the user has given an answer.
    */
   getAnswerGiven() {
-    return this.wasAnswerGiven;
+    return this.wasAnswerGiven || (this.orderStopsTask?.getAnswerGiven() ?? false);
+  }
+
+  /**
+   * Determine whether there is anything worth storing in the state, e.g. pins placed before opening any waypoint.
+   * @returns {boolean} True, if the state should be stored.
+   */
+  hasStateToSave() {
+    return this.getAnswerGiven() || this.werePinsChanged || (this.learnerPins?.getCurrentState().pins.length ?? 0) > 0;
   }
 
   /**
@@ -198,7 +1231,7 @@ export default class Main {
   getScore() {
     return this.map.getContentBundles().reduce((score, contentBundle) => {
       return score + contentBundle.getScore();
-    }, 0);
+    }, this.orderStopsTask?.getScore() ?? 0);
   }
 
   /**
@@ -208,30 +1241,141 @@ export default class Main {
   getMaxScore() {
     return this.map.getContentBundles().reduce((maxScore, contentBundle) => {
       return maxScore + contentBundle.getMaxScore();
-    }, 0);
+    }, this.orderStopsTask?.getMaxScore() ?? 0);
   }
 
   /**
    * Show solutions for all child question types.
    */
   showSolutions() {
+    this.orderStopsTask?.showSolutions();
+
     this.map.getContentBundles().forEach((contentBundle) => {
       contentBundle.showSolutions();
     });
+
+    this.updateButtonDisabledStates();
   }
 
   /**
-   * Go to previous waypoint.
+   * Get xAPI data of all waypoints and their children.
+   * @returns {object[]} XAPI data of waypoints.
+   */
+  getXAPIData() {
+    const xAPIData = this.map.getContentBundles().map((contentBundle) => {
+      return contentBundle.getXAPIData();
+    });
+
+    if (this.orderStopsTask) {
+      xAPIData.unshift(this.orderStopsTask.getXAPIData());
+    }
+
+    return xAPIData;
+  }
+
+  /**
+   * Go to previous waypoint on the route taken or to the previous waypoint in order.
    */
   goBackward() {
+    if (this.isOrderingStops()) {
+      return; // Would give away the order
+    }
+
+    if (this.route.length > 1) {
+      this.route.pop();
+      this.map.openWaypointContent(this.map.getWaypointById(this.route[this.route.length - 1]));
+      return;
+    }
+
     this.map.openWaypointContentByIndex(this.openWaypointContentIndex - 1);
   }
 
   /**
-   * Go to next waypoint.
+   * Go to next waypoint or let user choose if the waypoint has branches.
    */
   goForward() {
-    this.map.openWaypointContentByIndex(this.openWaypointContentIndex + 1);
+    if (this.isOrderingStops()) {
+      return; // Would give away the order
+    }
+
+    const waypoint = this.map.getWaypointByIndex(this.openWaypointContentIndex);
+    if (!waypoint) {
+      this.map.openWaypointContentByIndex(0);
+      return;
+    }
+
+    const branches = this.map.getBranches(waypoint);
+    if (!branches.length || waypoint.isEndOfRoute()) {
+      this.map.openWaypointContent(this.map.getSuccessors(waypoint)[0]);
+      return;
+    }
+
+    this.showBranchChoices(waypoint, branches);
+  }
+
+  /**
+   * Show choices of branches leading away from a waypoint.
+   * @param {object} waypoint Waypoint that the branches lead away from.
+   * @param {object[]} branches Branches.
+   */
+  showBranchChoices(waypoint, branches) {
+    this.dialog.show({
+      headline: this.params.dictionary.get('l10n.chooseNextWaypoint'),
+      buttons: branches.map((branch) => {
+        const isDiscovered = !this.isHiddenWaypoint(branch.waypoint);
+        const isAvailable = isDiscovered && this.isBranchAvailable(waypoint, branch);
+
+        let description;
+        if (!isDiscovered) {
+          description = this.params.dictionary.get('l10n.waypointNotDiscovered');
+        }
+        else if (!isAvailable) {
+          description = this.params.dictionary.get('l10n.branchRequiresScore')
+            .replace('@percentage', branch.minScorePercentage);
+        }
+
+        return {
+          label: branch.label,
+          disabled: !isAvailable,
+          description: description,
+          onClick: () => {
+            this.dialog.hide({ skipFocus: true });
+            this.map.openWaypointContent(branch.waypoint);
+          },
+        };
+      }),
+    });
+  }
+
+  /**
+   * Determine whether a branch is available given the score achieved at its waypoint.
+   * @param {object} waypoint Waypoint that the branch leads away from.
+   * @param {object} branch Branch.
+   * @returns {boolean} True, if the branch is available.
+   */
+  isBranchAvailable(waypoint, branch) {
+    if (typeof branch.minScorePercentage !== 'number') {
+      return true;
+    }
+
+    const scorePercentage = this.getScorePercentage(waypoint);
+
+    return scorePercentage === null || scorePercentage >= branch.minScorePercentage;
+  }
+
+  /**
+   * Get the score percentage achieved at a waypoint.
+   * @param {object} waypoint Waypoint.
+   * @returns {number|null} Score percentage or null if the waypoint cannot be scored.
+   */
+  getScorePercentage(waypoint) {
+    const contentBundle = waypoint.getContentBundle();
+    const maxScore = contentBundle.getMaxScore();
+    if (maxScore === 0) {
+      return null;
+    }
+
+    return contentBundle.getScore() / maxScore * PERCENTAGE_FACTOR;
   }
 
   /**
@@ -265,11 +1409,28 @@ export default class Main {
   updateButtonDisabledStates() {
     const waypoint = this.map.getWaypointByIndex(this.openWaypointContentIndex);
     const title = waypoint ? waypoint.getTitle() : null;
+    const hasBranches = this.map.getBranches(waypoint).length > 0 && !waypoint.isEndOfRoute();
+    const nextWaypoint = waypoint ?
+      this.map.getSuccessors(waypoint)[0] :
+      this.map.getWaypointByIndex(0);
+
+    const visitedText = this.params.dictionary.get('a11y.progressVisited')
+      .replace('@visited', this.getNumberOfVisitedWaypoints())
+      .replace('@total', this.map.getWaypoints().length);
 
     this.navigationBar.update({
-      left: this.openWaypointContentIndex > 0,
-      right: this.openWaypointContentIndex < this.lastMarkerIndex,
+      left: !this.isOrderingStops() && (this.route.length > 1 || this.openWaypointContentIndex > 0),
+      right: !this.isOrderingStops() && (
+        hasBranches ||
+        (
+          !!nextWaypoint && !nextWaypoint.isHidden() &&
+          (!nextWaypoint.isLocked() || this.canBeUnlockedByCode(nextWaypoint))
+        )
+      ),
       text: title,
+      now: this.getNumberOfVisitedWaypoints(),
+      max: this.map.getWaypoints().length,
+      valueText: title ? `${title}. ${visitedText}` : visitedText,
     });
   }
 
@@ -293,10 +1454,33 @@ export default class Main {
   reset() {
     this.openWaypointContentIndex = -1;
     this.wasAnswerGiven = false;
+    this.werePinsChanged = false;
     this.wasCompleted = false;
-    this.updateButtonDisabledStates();
+    this.route = [];
+    this.updateElevationProfile();
+    this.visitedWaypointIds = [];
+    this.updateVisitedStates();
+    this.journey = [];
+    this.timeSpent = {};
+    this.waypointOpenedAt = null;
+    this.dialog.hide({ skipFocus: true });
+    this.unlockedWaypointIds = this.getInitiallyUnlockedWaypointIds();
+    this.siteUnlockedWaypointIds = [];
+    this.codeUnlockedWaypointIds = [];
+    this.discoveredWaypointIds = [];
+    this.updateHiddenStates();
+    this.updateLockStates();
+    this.unlockWaypointsNearby(this.geolocationTracker?.getPosition());
+
     this.map.reset();
+    this.learnerPins?.reset();
+    this.orderStopsTask?.resetTask();
     this.navigationBar.reset();
+    this.updateButtonDisabledStates();
+    this.updateOnSiteStatus();
+
+    this.hasStarted = false;
+    this.toggleCover(true);
   }
 
   /**
@@ -312,8 +1496,21 @@ export default class Main {
    * @returns {object} Current state.
    */
   getCurrentState() {
+    this.updateTimeSpent();
+
     return {
       openWaypointContentIndex: this.getCurrentOpenWaypointContentIndex(),
+      unlockedWaypointIds: this.unlockedWaypointIds,
+      siteUnlockedWaypointIds: this.siteUnlockedWaypointIds,
+      codeUnlockedWaypointIds: this.codeUnlockedWaypointIds,
+      discoveredWaypointIds: this.discoveredWaypointIds,
+      route: this.route,
+      visitedWaypointIds: this.visitedWaypointIds,
+      journey: this.journey,
+      timeSpent: this.timeSpent,
+      hasStarted: this.hasStarted,
+      orderStopsTask: this.orderStopsTask?.getCurrentState(),
+      learnerPins: this.learnerPins?.getCurrentState(),
       navigationBar: this.navigationBar.getCurrentState(),
       map: this.map.getCurrentState(),
     };
@@ -326,9 +1523,49 @@ export default class Main {
   setCurrentState(state = {}) {
     this.openWaypointContentIndex = state?.openWaypointContentIndex ?? -1;
     this.wasAnswerGiven = this.openWaypointContentIndex !== -1;
-    this.checkCompleted();
 
-    this.updateButtonDisabledStates();
+    if (Array.isArray(state?.visitedWaypointIds)) {
+      this.visitedWaypointIds = state.visitedWaypointIds.filter((id) => !!this.map.getWaypointById(id));
+      this.updateVisitedStates();
+    }
+
+    if (Array.isArray(state?.journey)) {
+      this.journey = state.journey.filter((stop) => !!this.map.getWaypointById(stop?.id));
+    }
+
+    if (typeof state?.timeSpent === 'object' && state.timeSpent !== null) {
+      this.timeSpent = { ...state.timeSpent };
+    }
+
+    if (Array.isArray(state?.route)) {
+      this.route = state.route.filter((id) => !!this.map.getWaypointById(id));
+      this.updateElevationProfile();
+    }
+
+    if (Array.isArray(state?.unlockedWaypointIds)) {
+      this.unlockedWaypointIds = [...new Set([...this.unlockedWaypointIds, ...state.unlockedWaypointIds])];
+    }
+
+    if (Array.isArray(state?.siteUnlockedWaypointIds)) {
+      this.siteUnlockedWaypointIds = [
+        ...new Set([...this.siteUnlockedWaypointIds, ...state.siteUnlockedWaypointIds]),
+      ].filter((id) => !!this.map.getWaypointById(id));
+    }
+
+    if (Array.isArray(state?.codeUnlockedWaypointIds)) {
+      this.codeUnlockedWaypointIds = [
+        ...new Set([...this.codeUnlockedWaypointIds, ...state.codeUnlockedWaypointIds]),
+      ].filter((id) => !!this.map.getWaypointById(id));
+    }
+
+    if (Array.isArray(state?.discoveredWaypointIds)) {
+      this.discoveredWaypointIds = [
+        ...new Set([...this.discoveredWaypointIds, ...state.discoveredWaypointIds]),
+      ].filter((id) => !!this.map.getWaypointById(id));
+      this.updateHiddenStates();
+    }
+
+    this.updateLockStates();
     this.navigationBar.setCurrentState(state?.navigationBar);
 
     this.map.setCurrentState(state?.map);
@@ -336,5 +1573,8 @@ export default class Main {
       panTo: false, // Avoid panning away from previously set coordinates
       contentOpen: this.openWaypointContentIndex !== -1,
     });
+
+    // Completion can only be judged once everything has been restored
+    this.checkCompleted();
   }
 }
@@ -0,0 +1,426 @@
+import L from 'leaflet';
+import MapTask, { PROBLEM_INVALID_ROUTE_POINT, PROBLEM_ROUTE_TOO_SHORT } from './map-task.js';
+import Screenreader from '@services/screenreader.js';
+import {
+  densifyPolyline, getDistanceToPolyline, getNonEmptyLines, getPolylineLength, parseCoordinates, parseCoordinatesList,
+} from '@services/geo-util.js';
+
+/** @constant {number} MIN_ROUTE_POINTS Minimum number of points of a route. */
+const MIN_ROUTE_POINTS = 2;
+
+/** @constant {number} METERS_PER_KILOMETER Meters per kilometer. */
+const METERS_PER_KILOMETER = 1000;
+
+/** @constant {number} PERCENTAGE_FACTOR Factor to convert ratio to percentage. */
+const PERCENTAGE_FACTOR = 100;
+
+/** @constant {number} MAX_SAMPLES Maximum number of points to sample along a route for comparison. */
+const MAX_SAMPLES = 500;
+
+/** @constant {number} SAMPLES_PER_TOLERANCE Number of points to sample per tolerance distance. */
+const SAMPLES_PER_TOLERANCE = 2;
+
+/** @constant {number} VERTEX_RADIUS_PX Radius of vertex markers in pixels. */
+const VERTEX_RADIUS_PX = 5;
+
+/** @constant {string} XAPI_SEQUENCE_DELIMITER Delimiter for sequences in xAPI responses. */
+const XAPI_SEQUENCE_DELIMITER = '[,]';
+
+/**
+ * Task where the learner needs to draw a route that is compared to a reference route.
+ */
+export default class DrawRouteTask extends MapTask {
+  /**
+   * @class
+   * @param {object} params Parameters, see MapTask.
+   * @param {object} params.taskParams Parameters set by the author.
+   * @param {string} [params.taskParams.question] Question, e.g. "Trace the river Rhine".
+   * @param {string} params.taskParams.referenceRoute Coordinates of reference route, one pair per line.
+   * @param {number} [params.taskParams.tolerance] Tolerance in km.
+   * @param {number} [params.taskParams.maxScore] Maximum score.
+   */
+  constructor(params = {}) {
+    super(params);
+
+    this.referenceRoute = parseCoordinatesList(this.params.taskParams.referenceRoute);
+    if (this.referenceRoute.length < MIN_ROUTE_POINTS) {
+      console.warn('Story Map: The reference route of a draw-the-route task needs at least two points.');
+    }
+
+    this.tolerance = (this.params.taskParams.tolerance ?? 1) * METERS_PER_KILOMETER;
+
+    this.points = [];
+    this.vertices = [];
+    this.solutionLayers = [];
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+
+    this.route = L.polyline([], { className: 'h5p-story-map-draw-route-path', interactive: false });
+    this.addMapLayer(this.route);
+
+    this.buildDOM();
+
+    this.addMapEventListener('click', (event) => {
+      this.addPoint(event.latlng);
+    });
+
+    this.setCurrentState(this.params.previousState);
+  }
+
+  /**
+   * Get problems with the parameters that the author needs to fix.
+   * @param {object} taskParams Parameters set by the author.
+   * @returns {object[]} Problems ({ type: string, element?: string }).
+   */
+  static getProblems(taskParams = {}) {
+    const lines = getNonEmptyLines(taskParams.referenceRoute);
+
+    const problems = lines
+      .filter((line) => parseCoordinates(line) === null)
+      .map((line) => ({ type: PROBLEM_INVALID_ROUTE_POINT, element: line }));
+
+    if (lines.length - problems.length < MIN_ROUTE_POINTS) {
+      problems.push({ type: PROBLEM_ROUTE_TOO_SHORT });
+    }
+
+    return problems;
+  }
+
+  /**
+   * Build DOM.
+   */
+  buildDOM() {
+    const question = document.createElement('div');
+    question.classList.add('h5p-story-map-map-task-question');
+    question.innerText = this.getQuestion();
+    this.dom.append(question);
+
+    const instructions = document.createElement('p');
+    instructions.classList.add('h5p-story-map-map-task-instructions');
+    instructions.innerText = this.params.dictionary.get('l10n.drawRouteInstructions');
+    this.dom.append(instructions);
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('h5p-story-map-map-task-buttons');
+    this.dom.append(buttons);
+
+    this.addButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.addPointAtCenter'),
+      onClick: () => {
+        const center = this.getGeoMap()?.getCoordinates();
+        if (center) {
+          this.addPoint(L.latLng(center.latitude, center.longitude));
+        }
+      },
+    });
+    buttons.append(this.addButton);
+
+    this.undoButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.undo'),
+      onClick: () => {
+        this.removeLastPoint();
+      },
+    });
+    buttons.append(this.undoButton);
+
+    this.checkButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.check'),
+      onClick: () => {
+        this.check();
+      },
+    });
+    buttons.append(this.checkButton);
+
+    this.feedback = document.createElement('p');
+    this.feedback.classList.add('h5p-story-map-map-task-feedback');
+    this.dom.append(this.feedback);
+
+    this.updateButtons();
+  }
+
+  /**
+   * Get question text.
+   * @returns {string} Question text.
+   */
+  getQuestion() {
+    return this.params.taskParams.question ?? '';
+  }
+
+  /**
+   * Determine whether the learner can no longer change the route.
+   * @returns {boolean} True, if input is blocked.
+   */
+  isInputBlocked() {
+    return this.isAnswered || this.isShowingSolutions;
+  }
+
+  /**
+   * Add point to the learner's route.
+   * @param {L.LatLng} latLng Coordinates.
+   * @param {object} [options] Options.
+   * @param {boolean} [options.silent] If true, don't announce adding.
+   */
+  addPoint(latLng, options = {}) {
+    if (this.isInputBlocked() || !latLng) {
+      return;
+    }
+
+    this.points.push(latLng);
+    this.route.setLatLngs(this.points);
+
+    const vertex = L.circleMarker(latLng, {
+      className: 'h5p-story-map-draw-route-vertex',
+      radius: VERTEX_RADIUS_PX,
+      interactive: false,
+    });
+    this.vertices.push(vertex);
+    this.addMapLayer(vertex);
+
+    this.updateButtons();
+
+    if (!options.silent) {
+      Screenreader.read(this.params.dictionary.get('a11y.pointAdded').replace('@number', this.points.length));
+    }
+  }
+
+  /**
+   * Remove last point of the learner's route.
+   */
+  removeLastPoint() {
+    if (this.isInputBlocked() || !this.points.length) {
+      return;
+    }
+
+    this.points.pop();
+    this.route.setLatLngs(this.points);
+    this.removeMapLayer(this.vertices.pop());
+
+    this.updateButtons();
+
+    Screenreader.read(this.params.dictionary.get('a11y.pointRemoved').replace('@number', this.points.length));
+  }
+
+  /**
+   * Update button states.
+   */
+  updateButtons() {
+    this.addButton.disabled = this.isInputBlocked();
+    this.undoButton.disabled = this.isInputBlocked() || !this.points.length;
+    this.checkButton.disabled = this.isInputBlocked() || this.points.length < 2;
+  }
+
+  /**
+   * Check answer.
+   */
+  check() {
+    if (this.isInputBlocked() || this.points.length < 2) {
+      return;
+    }
+
+    this.isAnswered = true;
+    this.showSolutions();
+
+    this.triggerXAPIAnswered();
+  }
+
+  /**
+   * Get coordinates of the learner's route.
+   * @returns {object[]} Coordinates ({ latitude: number, longitude: number }).
+   */
+  getLearnerRoute() {
+    return this.points.map((latLng) => ({ latitude: latLng.lat, longitude: latLng.lng }));
+  }
+
+  /**
+   * Get share of sampled points of one route that lie within the tolerance of another route.
+   * @param {object[]} route Coordinates of route to sample.
+   * @param {object[]} otherRoute Coordinates of route to compare to.
+   * @returns {number} Share between 0 and 1.
+   */
+  getShareWithinTolerance(route, otherRoute) {
+    if (route.length < 2 || otherRoute.length < 2) {
+      return 0;
+    }
+
+    const sampleDistance = Math.max(
+      this.tolerance / SAMPLES_PER_TOLERANCE,
+      getPolylineLength(route) / MAX_SAMPLES,
+    );
+    const samples = densifyPolyline(route, sampleDistance);
+
+    const samplesWithinTolerance = samples.filter((sample) => {
+      return getDistanceToPolyline(sample, otherRoute) <= this.tolerance;
+    });
+
+    return samplesWithinTolerance.length / samples.length;
+  }
+
+  /**
+   * Get how well the learner's route matches the reference route.
+   * Both the learner's route needs to stay close to the reference route and
+   * the reference route needs to be covered by the learner's route.
+   * @returns {number} Match between 0 and 1.
+   */
+  getMatch() {
+    const learnerRoute = this.getLearnerRoute();
+
+    return Math.min(
+      this.getShareWithinTolerance(learnerRoute, this.referenceRoute),
+      this.getShareWithinTolerance(this.referenceRoute, learnerRoute),
+    );
+  }
+
+  /**
+   * Show reference route on top of the learner's route.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
+   */
+  showSolutions() {
+    this.isShowingSolutions = true;
+    this.updateButtons();
+
+    this.renderSolution();
+
+    if (!this.isMapActive) {
+      return; // Don't move the map for tasks of other waypoints
+    }
+
+    const referenceLatLngs = this.referenceRoute.map((point) => L.latLng(point.latitude, point.longitude));
+    this.fitMapTo([...this.points, ...referenceLatLngs]);
+
+    if (this.feedback.innerText) {
+      Screenreader.read(this.feedback.innerText);
+    }
+  }
+
+  /**
+   * Render reference route and feedback.
+   */
+  renderSolution() {
+    this.solutionLayers.forEach((layer) => {
+      this.removeMapLayer(layer);
+    });
+
+    const referencePath = L.polyline(
+      this.referenceRoute.map((point) => [point.latitude, point.longitude]),
+      { className: 'h5p-story-map-draw-route-path solution', interactive: false },
+    );
+    this.solutionLayers = [referencePath];
+    this.addMapLayer(referencePath);
+
+    if (!this.isAnswered) {
+      return;
+    }
+
+    const score = this.getScore();
+    this.feedback.innerText = this.params.dictionary.get('l10n.drawRouteResult')
+      .replace('@percentage', Math.round(this.getMatch() * PERCENTAGE_FACTOR))
+      .replace('@score', score)
+      .replace('@total', this.getMaxScore());
+    this.feedback.classList.toggle('correct', score === this.getMaxScore());
+    this.feedback.classList.toggle('incorrect', score !== this.getMaxScore());
+  }
+
+  /**
+   * Reset task.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
+   */
+  resetTask() {
+    [...this.vertices, ...this.solutionLayers].forEach((layer) => {
+      this.removeMapLayer(layer);
+    });
+    this.vertices = [];
+    this.solutionLayers = [];
+
+    this.points = [];
+    this.route.setLatLngs([]);
+
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+    this.feedback.innerText = '';
+    this.feedback.classList.remove('correct', 'incorrect');
+    this.updateButtons();
+  }
+
+  /**
+   * Determine whether the task was answered already.
+   * @returns {boolean} True, if answer was given.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
+   */
+  getAnswerGiven() {
+    return this.isAnswered;
+  }
+
+  /**
+   * Get score, proportional to how well the routes match.
+   * @returns {number} Score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
+   */
+  getScore() {
+    if (!this.isAnswered) {
+      return 0;
+    }
+
+    return Math.round(this.getMaxScore() * this.getMatch());
+  }
+
+  /**
+   * Get maximum score.
+   * @returns {number} Maximum score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
+   */
+  getMaxScore() {
+    return DrawRouteTask.getMaxScore(this.params.taskParams);
+  }
+
+  /**
+   * Get xAPI definition.
+   * @returns {object} Partial xAPI definition.
+   */
+  getXAPIDefinition() {
+    return {
+      interactionType: 'other',
+      correctResponsesPattern: [
+        this.referenceRoute
+          .map((point) => `${point.latitude},${point.longitude}`)
+          .join(XAPI_SEQUENCE_DELIMITER),
+      ],
+    };
+  }
+
+  /**
+   * Get learner response for xAPI.
+   * @returns {string} Coordinates of the learner's route.
+   */
+  getXAPIResponse() {
+    return this.points.map((latLng) => `${latLng.lat},${latLng.lng}`).join(XAPI_SEQUENCE_DELIMITER);
+  }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    return {
+      points: this.getLearnerRoute(),
+      answered: this.isAnswered,
+    };
+  }
+
+  /**
+   * Set current state.
+   * @param {object} [state] State to set, must match return value from getCurrentState.
+   */
+  setCurrentState(state = {}) {
+    (state?.points ?? []).forEach((point) => {
+      if (typeof point?.latitude === 'number' && typeof point?.longitude === 'number') {
+        this.addPoint(L.latLng(point.latitude, point.longitude), { silent: true });
+      }
+    });
+
+    if (state?.answered && this.points.length >= 2) {
+      this.isAnswered = true;
+      this.updateButtons();
+      this.renderSolution();
+    }
+  }
+}
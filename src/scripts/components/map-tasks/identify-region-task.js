@@ -0,0 +1,513 @@
+import L from 'leaflet';
+import MapTask, { PROBLEM_NO_PROMPTS } from './map-task.js';
+import Screenreader from '@services/screenreader.js';
+import { parseGeoJSONFeatures } from '@services/geo-util.js';
+import './identify-region-task.scss';
+
+/** @constant {string[]} REGION_GEOMETRY_TYPES GeoJSON geometry types that can be used as regions. */
+const REGION_GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+/** @constant {number} LATITUDE_MAX Maximum absolute latitude. */
+const LATITUDE_MAX = 90;
+
+/** @constant {number} MIN_RING_POSITIONS Minimum number of positions of a closed linear ring. */
+const MIN_RING_POSITIONS = 4;
+
+/** @constant {string} DEFAULT_NAME_PROPERTY Default GeoJSON property holding the name of a region. */
+const DEFAULT_NAME_PROPERTY = 'name';
+
+/** @constant {string} XAPI_PAIR_DELIMITER Delimiter between the two items of a pair in xAPI responses. */
+const XAPI_PAIR_DELIMITER = '[.]';
+
+/** @constant {string} XAPI_LIST_DELIMITER Delimiter for lists in xAPI responses. */
+const XAPI_LIST_DELIMITER = '[,]';
+
+/**
+ * Determine whether GeoJSON polygon coordinates can be displayed.
+ * @param {number[][][]} coordinates Linear rings of positions ([longitude, latitude]).
+ * @returns {boolean} True, if all rings are closed and all positions are valid.
+ */
+const isValidPolygon = (coordinates) => {
+  return Array.isArray(coordinates) && coordinates.length > 0 && coordinates.every((ring) => {
+    return Array.isArray(ring) && ring.length >= MIN_RING_POSITIONS && ring.every((position) => {
+      const [longitude, latitude] = Array.isArray(position) ? position : [];
+      return Number.isFinite(latitude) && Number.isFinite(longitude) && Math.abs(latitude) <= LATITUDE_MAX;
+    });
+  });
+};
+
+/**
+ * Determine whether a GeoJSON polygon or multi polygon geometry can be displayed.
+ * @param {object} geometry GeoJSON geometry.
+ * @returns {boolean} True, if the geometry is valid.
+ */
+const isValidRegionGeometry = (geometry) => {
+  if (geometry.type === 'Polygon') {
+    return isValidPolygon(geometry.coordinates);
+  }
+
+  return Array.isArray(geometry.coordinates) && geometry.coordinates.length > 0 &&
+    geometry.coordinates.every((polygon) => isValidPolygon(polygon));
+};
+
+/**
+ * Get GeoJSON features that can be used as regions.
+ * @param {object} taskParams Parameters set by the author.
+ * @returns {object[]} GeoJSON features with polygon geometries.
+ */
+const getRegionFeatures = (taskParams) => {
+  return parseGeoJSONFeatures(taskParams.geoJSON).filter((feature, index) => {
+    if (!REGION_GEOMETRY_TYPES.includes(feature.geometry?.type)) {
+      console.warn(`Story Map: Ignoring GeoJSON feature of type "${feature.geometry?.type}", only polygons can be regions.`);
+      return false;
+    }
+
+    // Leaflet would throw on invalid coordinates and take the whole waypoint down
+    if (!isValidRegionGeometry(feature.geometry)) {
+      console.warn(`Story Map: Ignoring GeoJSON feature ${index + 1}, its coordinates are invalid.`);
+      return false;
+    }
+
+    return true;
+  });
+};
+
+/**
+ * Get name of a region.
+ * @param {object} feature GeoJSON feature of the region.
+ * @param {object} taskParams Parameters set by the author.
+ * @returns {string} Name of the region.
+ */
+const getRegionName = (feature, taskParams) => {
+  return `${feature.properties?.[taskParams.nameProperty || DEFAULT_NAME_PROPERTY] ?? ''}`.trim();
+};
+
+/**
+ * Get prompts that refer to existing regions.
+ * @param {object} taskParams Parameters set by the author.
+ * @param {string[]} regionNames Names of the regions.
+ * @returns {object[]} Prompts ({ text: string, regionIndex: number }).
+ */
+const getPrompts = (taskParams, regionNames) => {
+  return (taskParams.prompts ?? [])
+    .map((prompt) => {
+      const regionName = (prompt?.region ?? '').trim().toLowerCase();
+      const regionIndex = regionNames.findIndex((name) => name.toLowerCase() === regionName);
+
+      if (regionIndex === -1) {
+        console.warn(`Story Map: There is no region named "${prompt?.region ?? ''}" in the GeoJSON.`);
+        return null;
+      }
+
+      return {
+        text: prompt.prompt || prompt.region,
+        regionIndex: regionIndex,
+      };
+    })
+    .filter((prompt) => prompt !== null);
+};
+
+/**
+ * Task where the learner needs to click the region named in a prompt.
+ */
+export default class IdentifyRegionTask extends MapTask {
+  /**
+   * @class
+   * @param {object} params Parameters, see MapTask.
+   * @param {object} params.taskParams Parameters set by the author.
+   * @param {string} [params.taskParams.question] Question, e.g. "Find the countries".
+   * @param {string} params.taskParams.geoJSON GeoJSON with polygons of the regions.
+   * @param {string} [params.taskParams.nameProperty] GeoJSON property holding the name of a region.
+   * @param {object[]} [params.taskParams.prompts] Prompts ({ prompt: string, region: string }).
+   */
+  constructor(params = {}) {
+    super(params);
+
+    this.regions = this.buildRegions();
+    this.prompts = getPrompts(this.params.taskParams, this.regions.map((region) => region.name));
+
+    // Without prompts, there is nothing to answer, so the task must not keep the waypoint from being completed
+    this.isTask = this.prompts.length > 0;
+    if (!this.isTask) {
+      console.warn('Story Map: No prompt of the identify-the-region task matches a region, so it is not scored.');
+    }
+
+    this.answers = [];
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+
+    this.dom.classList.add('h5p-story-map-identify-region');
+    this.buildDOM();
+
+    this.setCurrentState(this.params.previousState);
+    this.update();
+  }
+
+  /**
+   * Get problems with the parameters that the author needs to fix.
+   * @param {object} taskParams Parameters set by the author.
+   * @returns {object[]} Problems ({ type: string }).
+   */
+  static getProblems(taskParams = {}) {
+    return IdentifyRegionTask.getMaxScore(taskParams) > 0 ? [] : [{ type: PROBLEM_NO_PROMPTS }];
+  }
+
+  /**
+   * Get maximum score without instantiating the task. Each prompt that matches a region scores one point.
+   * @param {object} [taskParams] Parameters set by the author.
+   * @returns {number} Maximum score.
+   */
+  static getMaxScore(taskParams = {}) {
+    const regionNames = getRegionFeatures(taskParams).map((feature) => getRegionName(feature, taskParams));
+
+    return getPrompts(taskParams, regionNames).length;
+  }
+
+  /**
+   * Build regions from the GeoJSON polygons.
+   * @returns {object[]} Regions ({ name: string, layer: L.Polygon }).
+   */
+  buildRegions() {
+    return getRegionFeatures(this.params.taskParams).map((feature, index) => {
+      const region = {
+        name: getRegionName(feature, this.params.taskParams),
+        layer: L.geoJSON(feature, { style: { className: 'h5p-story-map-identify-region-area' } }).getLayers()[0],
+      };
+
+      region.layer.on('add', () => {
+        this.makeRegionAccessible(region, index);
+      });
+
+      region.layer.on('click', (event) => {
+        L.DomEvent.stopPropagation(event);
+        this.select(index);
+      });
+
+      this.addMapLayer(region.layer);
+
+      return region;
+    });
+  }
+
+  /**
+   * Make region focusable and operable with keyboard, once it is rendered.
+   * @param {object} region Region.
+   * @param {number} index Index of region.
+   */
+  makeRegionAccessible(region, index) {
+    const element = region.layer.getElement();
+    if (!element || element.dataset.accessible) {
+      this.updateRegion(index);
+      return;
+    }
+
+    element.dataset.accessible = 'true';
+    element.setAttribute('role', 'button');
+
+    element.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        this.select(index);
+      }
+    });
+
+    this.updateRegion(index);
+  }
+
+  /**
+   * Build DOM.
+   */
+  buildDOM() {
+    const question = document.createElement('div');
+    question.classList.add('h5p-story-map-map-task-question');
+    question.innerText = this.getQuestion();
+    this.dom.append(question);
+
+    this.prompt = document.createElement('p');
+    this.prompt.classList.add('h5p-story-map-identify-region-prompt');
+    this.prompt.setAttribute('aria-live', 'polite');
+    this.dom.append(this.prompt);
+
+    this.progress = document.createElement('p');
+    this.progress.classList.add('h5p-story-map-map-task-instructions');
+    this.dom.append(this.progress);
+
+    this.feedback = document.createElement('p');
+    this.feedback.classList.add('h5p-story-map-map-task-feedback');
+    this.dom.append(this.feedback);
+
+    this.results = document.createElement('ul');
+    this.results.classList.add('h5p-story-map-identify-region-results');
+    this.dom.append(this.results);
+  }
+
+  /**
+   * Get question text.
+   * @returns {string} Question text.
+   */
+  getQuestion() {
+    return this.params.taskParams.question ?? '';
+  }
+
+  /**
+   * Determine whether the learner can no longer select regions.
+   * @returns {boolean} True, if input is blocked.
+   */
+  isInputBlocked() {
+    return this.isAnswered || this.isShowingSolutions || this.answers.length >= this.prompts.length;
+  }
+
+  /**
+   * Select region as answer to the current prompt.
+   * @param {number} index Index of region.
+   */
+  select(index) {
+    if (this.isInputBlocked() || !this.regions[index]) {
+      return;
+    }
+
+    this.answers.push(index);
+
+    if (this.answers.length < this.prompts.length) {
+      this.update();
+      Screenreader.read(`${this.params.dictionary.get('a11y.regionSelected')} ${this.prompt.innerText}`);
+      return;
+    }
+
+    this.check();
+  }
+
+  /**
+   * Check answers after the last prompt.
+   */
+  check() {
+    this.isAnswered = true;
+    this.showResult();
+    this.update();
+
+    Screenreader.read(this.feedback.innerText);
+
+    this.triggerXAPIAnswered();
+  }
+
+  /**
+   * Update prompt, progress and regions.
+   */
+  update() {
+    const currentPrompt = this.prompts[this.answers.length];
+
+    this.prompt.innerText = (!this.isInputBlocked() && currentPrompt) ?
+      this.params.dictionary.get('l10n.identifyRegionPrompt').replace('@region', currentPrompt.text) :
+      '';
+
+    this.progress.innerText = this.isInputBlocked() ?
+      '' :
+      this.params.dictionary.get('l10n.identifyRegionProgress')
+        .replace('@current', this.answers.length + 1)
+        .replace('@total', this.prompts.length);
+
+    this.regions.forEach((region, index) => {
+      this.updateRegion(index);
+    });
+  }
+
+  /**
+   * Update region's label and state. Names are only revealed after answering.
+   * @param {number} index Index of region.
+   */
+  updateRegion(index) {
+    const element = this.regions[index]?.layer.getElement();
+    if (!element) {
+      return;
+    }
+
+    const isRevealed = this.isAnswered || this.isShowingSolutions;
+    const label = isRevealed ?
+      this.regions[index].name || this.params.dictionary.get('a11y.unnamedRegion').replace('@number', index + 1) :
+      this.params.dictionary.get('a11y.selectRegion').replace('@number', index + 1);
+
+    element.setAttribute('aria-label', label);
+    element.setAttribute('tabindex', this.isInputBlocked() ? '-1' : '0');
+    element.setAttribute('aria-disabled', this.isInputBlocked() ? 'true' : 'false');
+
+    element.classList.toggle('correct', isRevealed && this.isRegionCorrect(index));
+    element.classList.toggle('incorrect', isRevealed && this.isRegionIncorrect(index));
+  }
+
+  /**
+   * Determine whether region is the solution to any prompt.
+   * @param {number} index Index of region.
+   * @returns {boolean} True, if region is a solution.
+   */
+  isRegionCorrect(index) {
+    return this.prompts.some((prompt) => prompt.regionIndex === index);
+  }
+
+  /**
+   * Determine whether region was chosen for a prompt it is not the solution to.
+   * @param {number} index Index of region.
+   * @returns {boolean} True, if region was chosen incorrectly.
+   */
+  isRegionIncorrect(index) {
+    return this.answers.some((answer, promptIndex) => {
+      return answer === index && this.prompts[promptIndex]?.regionIndex !== index;
+    });
+  }
+
+  /**
+   * Show result for every prompt.
+   */
+  showResult() {
+    const score = this.getScore();
+    this.feedback.innerText = this.params.dictionary.get('l10n.identifyRegionResult')
+      .replace('@score', score)
+      .replace('@total', this.getMaxScore());
+    this.feedback.classList.toggle('correct', score === this.getMaxScore());
+    this.feedback.classList.toggle('incorrect', score !== this.getMaxScore());
+
+    this.results.innerHTML = '';
+    this.prompts.forEach((prompt, index) => {
+      const isCorrect = this.answers[index] === prompt.regionIndex;
+
+      const item = document.createElement('li');
+      item.classList.add('h5p-story-map-identify-region-result', isCorrect ? 'correct' : 'incorrect');
+      item.innerText = this.params.dictionary.get(
+        isCorrect ? 'l10n.identifyRegionCorrect' : 'l10n.identifyRegionIncorrect',
+      )
+        .replace('@region', prompt.text)
+        .replace('@answer', this.regions[this.answers[index]]?.name ?? '');
+      this.results.append(item);
+    });
+  }
+
+  /**
+   * Show correct and incorrect regions.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
+   */
+  showSolutions() {
+    this.isShowingSolutions = true;
+    this.update();
+
+    if (!this.isMapActive || !this.regions.length) {
+      return; // Don't move the map for tasks of other waypoints
+    }
+
+    const bounds = L.latLngBounds([]);
+    this.regions.forEach((region) => {
+      bounds.extend(region.layer.getBounds());
+    });
+    this.fitMapTo([bounds.getSouthWest(), bounds.getNorthEast()]);
+  }
+
+  /**
+   * Reset task.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
+   */
+  resetTask() {
+    this.answers = [];
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+
+    this.feedback.innerText = '';
+    this.feedback.classList.remove('correct', 'incorrect');
+    this.results.innerHTML = '';
+
+    this.update();
+  }
+
+  /**
+   * Determine whether the task was answered already.
+   * @returns {boolean} True, if answer was given.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
+   */
+  getAnswerGiven() {
+    return this.isAnswered;
+  }
+
+  /**
+   * Get score. Each prompt answered with the correct region counts.
+   * @returns {number} Score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
+   */
+  getScore() {
+    if (!this.isAnswered) {
+      return 0;
+    }
+
+    return this.prompts.filter((prompt, index) => this.answers[index] === prompt.regionIndex).length;
+  }
+
+  /**
+   * Get maximum score.
+   * @returns {number} Maximum score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
+   */
+  getMaxScore() {
+    return this.prompts.length;
+  }
+
+  /**
+   * Get xAPI definition.
+   * @returns {object} Partial xAPI definition.
+   */
+  getXAPIDefinition() {
+    const languageTag = this.params.globals.get('mainInstance')?.languageTag ?? 'en-US';
+
+    return {
+      interactionType: 'matching',
+      source: this.prompts.map((prompt, index) => ({
+        id: `${index}`,
+        description: { [languageTag]: prompt.text, 'en-US': prompt.text },
+      })),
+      target: this.regions.map((region, index) => ({
+        id: `${index}`,
+        description: { [languageTag]: region.name, 'en-US': region.name },
+      })),
+      correctResponsesPattern: [
+        this.prompts
+          .map((prompt, index) => `${index}${XAPI_PAIR_DELIMITER}${prompt.regionIndex}`)
+          .join(XAPI_LIST_DELIMITER),
+      ],
+    };
+  }
+
+  /**
+   * Get learner response for xAPI.
+   * @returns {string} Pairs of prompt and the region chosen by the learner.
+   */
+  getXAPIResponse() {
+    return this.answers
+      .map((regionIndex, index) => `${index}${XAPI_PAIR_DELIMITER}${regionIndex}`)
+      .join(XAPI_LIST_DELIMITER);
+  }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    return {
+      answers: this.answers,
+      answered: this.isAnswered,
+    };
+  }
+
+  /**
+   * Set current state.
+   * @param {object} [state] State to set, must match return value from getCurrentState.
+   */
+  setCurrentState(state = {}) {
+    if (!Array.isArray(state?.answers)) {
+      return;
+    }
+
+    this.answers = state.answers
+      .filter((index) => Number.isInteger(index) && !!this.regions[index])
+      .slice(0, this.prompts.length);
+
+    if (state.answered && this.prompts.length && this.answers.length === this.prompts.length) {
+      this.isAnswered = true;
+      this.showResult();
+    }
+  }
+}
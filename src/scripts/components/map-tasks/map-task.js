@@ -0,0 +1,260 @@
+import { extend } from '@services/util.js';
+import './map-task.scss';
+
+/** @constant {number} CONTENT_OVERLAY_WIDTH_PERCENTAGE Share of the map width covered by the content overlay. */
+export const CONTENT_OVERLAY_WIDTH_PERCENTAGE = 0.5;
+
+/** @constant {string} PROBLEM_NO_PROMPTS Problem of an identify-the-region task without usable prompts. */
+export const PROBLEM_NO_PROMPTS = 'noPrompts';
+
+/** @constant {string} PROBLEM_INVALID_ROUTE_POINT Problem of a reference route line that is no coordinates pair. */
+export const PROBLEM_INVALID_ROUTE_POINT = 'invalidRoutePoint';
+
+/** @constant {string} PROBLEM_ROUTE_TOO_SHORT Problem of a reference route with less than two valid points. */
+export const PROBLEM_ROUTE_TOO_SHORT = 'routeTooShort';
+
+/**
+ * Base for native tasks that use the geo map. Behaves like an H5P content
+ * instance, so content bundles can treat it like any other child.
+ */
+export default class MapTask extends H5P.EventDispatcher {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {object} params.globals Global values.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {object} [params.taskParams] Parameters set by the author.
+   * @param {string} [params.subContentId] Id to identify task in xAPI statements.
+   * @param {object} [params.parent] Parent instance.
+   * @param {object} [params.previousState] Previous state.
+   */
+  constructor(params = {}) {
+    super();
+
+    this.params = extend({
+      taskParams: {},
+      previousState: {},
+    }, params);
+
+    this.contentId = this.params.globals.get('contentId');
+    this.subContentId = this.params.subContentId;
+    this.parent = this.params.parent;
+    this.isTask = true;
+
+    this.layers = [];
+    this.mapEventListeners = [];
+    this.isMapActive = false;
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-map-task');
+  }
+
+  /**
+   * Get problems with the parameters set by the author that the author needs to fix.
+   * Overridden by tasks whose parameters can be faulty, receiving the parameters.
+   * @returns {object[]} Problems ({ type: string, element?: string }).
+   */
+  static getProblems() {
+    return [];
+  }
+
+  /**
+   * Get maximum score without instantiating the task. Uses the maximum score set by the author by default.
+   * @param {object} [taskParams] Parameters set by the author.
+   * @returns {number} Maximum score.
+   */
+  static getMaxScore(taskParams = {}) {
+    return Math.max(1, taskParams.maxScore ?? 1);
+  }
+
+  /**
+   * Attach DOM to H5P wrapper.
+   * @param {H5P.jQuery} $wrapper H5P wrapper.
+   */
+  attach($wrapper) {
+    $wrapper.get(0).append(this.dom);
+  }
+
+  /**
+   * Get geo map that the task uses.
+   * @returns {object} Geo map.
+   */
+  getGeoMap() {
+    return this.params.globals.get('geoMap');
+  }
+
+  /**
+   * Add layer that is shown on the map while the task is active.
+   * @param {L.Layer} layer Leaflet layer.
+   */
+  addMapLayer(layer) {
+    this.layers.push(layer);
+
+    if (this.isMapActive) {
+      this.getGeoMap()?.addLayer(layer);
+    }
+  }
+
+  /**
+   * Remove layer from the map.
+   * @param {L.Layer} layer Leaflet layer.
+   */
+  removeMapLayer(layer) {
+    if (!this.layers.includes(layer)) {
+      return;
+    }
+
+    this.layers = this.layers.filter((existingLayer) => existingLayer !== layer);
+    this.getGeoMap()?.removeLayer(layer);
+  }
+
+  /**
+   * Add listener for map events that is active while the task is active.
+   * @param {string} eventName Name of leaflet map event.
+   * @param {function} handler Handler receiving the leaflet event.
+   */
+  addMapEventListener(eventName, handler) {
+    this.mapEventListeners.push({ eventName, handler });
+
+    if (this.isMapActive) {
+      this.getGeoMap()?.addMapEventListener(eventName, handler);
+    }
+  }
+
+  /**
+   * Set whether the task is active on the map, i.e. whether its waypoint is open.
+   * @param {boolean} active If true, show layers and listen to map, else hide and ignore.
+   */
+  setMapActive(active) {
+    const geoMap = this.getGeoMap();
+    if (!geoMap || typeof active !== 'boolean' || active === this.isMapActive) {
+      return;
+    }
+
+    this.isMapActive = active;
+
+    this.layers.forEach((layer) => {
+      if (active) {
+        geoMap.addLayer(layer);
+      }
+      else {
+        geoMap.removeLayer(layer);
+      }
+    });
+
+    this.mapEventListeners.forEach((listener) => {
+      if (active) {
+        geoMap.addMapEventListener(listener.eventName, listener.handler);
+      }
+      else {
+        geoMap.removeMapEventListener(listener.eventName, listener.handler);
+      }
+    });
+  }
+
+  /**
+   * Fit map view to show coordinates next to the content overlay.
+   * @param {L.LatLng[]} latLngs Coordinates to show.
+   */
+  fitMapTo(latLngs) {
+    this.getGeoMap()?.fitCoordinates(latLngs, { coveredRightPercentage: CONTENT_OVERLAY_WIDTH_PERCENTAGE });
+  }
+
+  /**
+   * Build button.
+   * @param {object} params Parameters.
+   * @param {string} params.label Label.
+   * @param {string} [params.className] Additional class name.
+   * @param {function} params.onClick Callback when button is clicked.
+   * @returns {HTMLElement} Button.
+   */
+  buildButton(params = {}) {
+    const button = document.createElement('button');
+    button.classList.add('h5p-story-map-map-task-button');
+    if (params.className) {
+      button.classList.add(params.className);
+    }
+    button.innerText = params.label;
+    button.addEventListener('click', () => {
+      params.onClick();
+    });
+
+    return button;
+  }
+
+  /**
+   * Get title of task for xAPI.
+   * @returns {string} Title.
+   */
+  getTitle() {
+    return H5P.createTitle(this.getQuestion());
+  }
+
+  /**
+   * Get question text. Should be overridden.
+   * @returns {string} Question text.
+   */
+  getQuestion() {
+    return '';
+  }
+
+  /**
+   * Get xAPI definition specific to the task type. Should be overridden.
+   * @returns {object} Partial xAPI definition, e.g. interactionType and correctResponsesPattern.
+   */
+  getXAPIDefinition() {
+    return { interactionType: 'other' };
+  }
+
+  /**
+   * Get learner response for xAPI. Should be overridden.
+   * @returns {string} Response.
+   */
+  getXAPIResponse() {
+    return '';
+  }
+
+  /**
+   * Create an xAPI event.
+   * @param {string} verb Short id of the verb we want to trigger.
+   * @returns {H5P.XAPIEvent} XAPI event.
+   */
+  createXAPIEvent(verb) {
+    const xAPIEvent = this.createXAPIEventTemplate(verb);
+
+    const mainInstance = this.params.globals.get('mainInstance');
+    const languageTag = mainInstance?.languageTag ?? 'en-US';
+    const question = this.getQuestion();
+
+    extend(xAPIEvent.getVerifiedStatementValue(['object', 'definition']), {
+      name: { [languageTag]: this.getTitle(), 'en-US': this.getTitle() },
+      description: { [languageTag]: question, 'en-US': question },
+      type: 'http://adlnet.gov/expapi/activities/cmi.interaction',
+    }, this.getXAPIDefinition());
+
+    if (verb === 'answered') {
+      const score = this.getScore();
+      const maxScore = this.getMaxScore();
+      xAPIEvent.setScoredResult(score, maxScore, this, true, score === maxScore);
+      xAPIEvent.data.statement.result.response = this.getXAPIResponse();
+    }
+
+    return xAPIEvent;
+  }
+
+  /**
+   * Trigger answered xAPI event.
+   */
+  triggerXAPIAnswered() {
+    this.trigger(this.createXAPIEvent('answered'));
+  }
+
+  /**
+   * Get xAPI data.
+   * @returns {object} XAPI data.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-6}
+   */
+  getXAPIData() {
+    return { statement: this.createXAPIEvent('answered').data.statement };
+  }
+}
@@ -0,0 +1,38 @@
+import DrawRouteTask from './draw-route-task.js';
+import IdentifyRegionTask from './identify-region-task.js';
+import PlaceMarkerTask from './place-marker-task.js';
+
+/** @constant {object} MAP_TASKS Native tasks that use the map, by content type set in semantics. */
+const MAP_TASKS = {
+  placeMarker: PlaceMarkerTask,
+  drawRoute: DrawRouteTask,
+  identifyRegion: IdentifyRegionTask,
+};
+
+/**
+ * Get class of native map task.
+ * @param {string} contentType Content type as set in semantics.
+ * @returns {function|undefined} Class of map task or undefined if content type is no map task.
+ */
+export const getMapTaskClass = (contentType) => {
+  return MAP_TASKS[contentType];
+};
+
+/**
+ * Get problems with the map tasks of waypoints that the author needs to fix.
+ * @param {object[]} [waypoints] Waypoint parameters.
+ * @returns {object[]} Problems ({ type: string, number: number, element?: string }), number is the waypoint's.
+ */
+export const getMapTaskProblems = (waypoints = []) => {
+  return waypoints.flatMap((waypoint, index) => {
+    return (waypoint?.contents ?? []).flatMap((contentParams) => {
+      const MapTask = getMapTaskClass(contentParams?.contentType);
+      if (!MapTask) {
+        return [];
+      }
+
+      return MapTask.getProblems(contentParams[contentParams.contentType])
+        .map((problem) => ({ ...problem, number: index + 1 }));
+    });
+  });
+};
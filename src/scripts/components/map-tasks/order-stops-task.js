@@ -0,0 +1,417 @@
+import MapTask from './map-task.js';
+import Screenreader from '@services/screenreader.js';
+import { extend, shuffleArray } from '@services/util.js';
+import './order-stops-task.scss';
+
+/** @constant {string} XAPI_SEQUENCE_DELIMITER Delimiter for sequences in xAPI responses. */
+const XAPI_SEQUENCE_DELIMITER = '[,]';
+
+/**
+ * Task where the learner needs to click the waypoints in the correct order.
+ */
+export default class OrderStopsTask extends MapTask {
+  /**
+   * @class
+   * @param {object} params Parameters, see MapTask.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onAnswered] Callback when task was answered.
+   */
+  constructor(params = {}, callbacks = {}) {
+    super(params);
+
+    this.callbacks = extend({
+      onAnswered: () => {},
+    }, callbacks);
+
+    this.waypoints = this.getGeoMap().getWaypoints();
+
+    this.order = [];
+    this.sequence = [];
+    this.paths = [];
+    this.solutionPaths = [];
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+
+    this.dom.classList.add('h5p-story-map-order-stops');
+    this.buildDOM();
+
+    this.setCurrentState(this.params.previousState);
+
+    if (!this.isAnswered) {
+      this.startSelection();
+    }
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Task DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Build DOM.
+   */
+  buildDOM() {
+    const question = document.createElement('p');
+    question.classList.add('h5p-story-map-map-task-question');
+    question.innerText = this.getQuestion();
+    this.dom.append(question);
+
+    this.progress = document.createElement('p');
+    this.progress.classList.add('h5p-story-map-map-task-instructions');
+    this.dom.append(this.progress);
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('h5p-story-map-map-task-buttons');
+    this.dom.append(buttons);
+
+    this.undoButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.undo'),
+      onClick: () => {
+        this.undo();
+      },
+    });
+    buttons.append(this.undoButton);
+
+    this.checkButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.check'),
+      onClick: () => {
+        this.check();
+      },
+    });
+    buttons.append(this.checkButton);
+
+    this.feedback = document.createElement('p');
+    this.feedback.classList.add('h5p-story-map-map-task-feedback');
+    this.dom.append(this.feedback);
+  }
+
+  /**
+   * Get question text.
+   * @returns {string} Question text.
+   */
+  getQuestion() {
+    return this.params.dictionary.get('l10n.orderStopsInstructions');
+  }
+
+  /**
+   * Determine whether the learner is still ordering the waypoints.
+   * @returns {boolean} True, if task is in progress.
+   */
+  isInProgress() {
+    return !this.isAnswered && !this.isShowingSolutions;
+  }
+
+  /**
+   * Start letting the learner select waypoints in shuffled tab order.
+   */
+  startSelection() {
+    if (this.order.length !== this.waypoints.length) {
+      this.order = shuffleArray(this.waypoints.map((waypoint) => waypoint.getId()));
+    }
+
+    const geoMap = this.getGeoMap();
+    geoMap.setMarkerOrder(this.order.map((id) => geoMap.getWaypointById(id)));
+    geoMap.setMarkerSelectionHandler((waypoint) => {
+      this.select(waypoint);
+    });
+
+    this.updateMarkerLabels();
+    this.update();
+  }
+
+  /**
+   * Stop letting the learner select waypoints and restore regular behavior.
+   */
+  stopSelection() {
+    const geoMap = this.getGeoMap();
+    geoMap.setMarkerSelectionHandler(null);
+    geoMap.setMarkerOrder(this.waypoints);
+
+    this.waypoints.forEach((waypoint) => {
+      waypoint.setMarkerLabel(null);
+    });
+
+    this.update();
+  }
+
+  /**
+   * Select waypoint as next in the sequence.
+   * @param {Waypoint} waypoint Waypoint.
+   */
+  select(waypoint) {
+    if (!this.isInProgress() || this.sequence.includes(waypoint.getId())) {
+      return;
+    }
+
+    this.addToSequence(waypoint);
+
+    Screenreader.read(this.params.dictionary.get('a11y.stopSelected')
+      .replace('@title', waypoint.getTitle())
+      .replace('@number', this.sequence.length));
+
+    this.updateMarkerLabels();
+    this.update();
+  }
+
+  /**
+   * Add waypoint to sequence and connect it to the previous one.
+   * @param {Waypoint} waypoint Waypoint.
+   */
+  addToSequence(waypoint) {
+    const previousWaypoint = this.getGeoMap().getWaypointById(this.sequence[this.sequence.length - 1]);
+
+    this.sequence.push(waypoint.getId());
+    waypoint.setSequenceNumber(this.sequence.length);
+
+    if (previousWaypoint) {
+      this.paths.push(this.getGeoMap().addPath(
+        previousWaypoint.getMarker().getLatLng(),
+        waypoint.getMarker().getLatLng(),
+        { className: 'h5p-story-map-order-stops-path' },
+      ));
+    }
+  }
+
+  /**
+   * Undo last selection.
+   */
+  undo() {
+    if (!this.isInProgress() || !this.sequence.length) {
+      return;
+    }
+
+    this.getGeoMap().getWaypointById(this.sequence.pop())?.setSequenceNumber(null);
+
+    if (this.paths.length > Math.max(0, this.sequence.length - 1)) {
+      this.getGeoMap().removePath(this.paths.pop());
+    }
+
+    this.updateMarkerLabels();
+    this.update();
+  }
+
+  /**
+   * Update marker labels to explain selecting.
+   */
+  updateMarkerLabels() {
+    this.waypoints.forEach((waypoint) => {
+      const number = this.sequence.indexOf(waypoint.getId()) + 1;
+      const label = number > 0 ?
+        this.params.dictionary.get('a11y.selectedStop').replace('@number', number) :
+        this.params.dictionary.get('a11y.selectStop');
+
+      waypoint.setMarkerLabel(label.replace('@title', waypoint.getTitle()));
+    });
+  }
+
+  /**
+   * Update progress text and buttons.
+   */
+  update() {
+    this.progress.innerText = this.params.dictionary.get('l10n.orderStopsProgress')
+      .replace('@current', this.sequence.length)
+      .replace('@total', this.waypoints.length);
+
+    this.undoButton.disabled = !this.isInProgress() || !this.sequence.length;
+    this.checkButton.disabled = !this.isInProgress() || this.sequence.length !== this.waypoints.length;
+  }
+
+  /**
+   * Check answer.
+   */
+  check() {
+    if (!this.isInProgress() || this.sequence.length !== this.waypoints.length) {
+      return;
+    }
+
+    this.isAnswered = true;
+    this.stopSelection();
+    this.showResult();
+
+    Screenreader.read(this.feedback.innerText);
+
+    this.triggerXAPIAnswered();
+    this.callbacks.onAnswered();
+  }
+
+  /**
+   * Determine whether waypoints follow each other in the correct order.
+   * @param {string} id Id of waypoint.
+   * @param {string} nextId Id of waypoint following it.
+   * @returns {boolean} True, if pair is in correct order.
+   */
+  isPairCorrect(id, nextId) {
+    const geoMap = this.getGeoMap();
+
+    return geoMap.getWaypointById(nextId)?.getIndex() === geoMap.getWaypointById(id)?.getIndex() + 1;
+  }
+
+  /**
+   * Show result with correct and incorrect pairs.
+   */
+  showResult() {
+    this.paths.forEach((path, index) => {
+      const isCorrect = this.isPairCorrect(this.sequence[index], this.sequence[index + 1]);
+      path.getElement()?.classList.add(isCorrect ? 'correct' : 'incorrect');
+    });
+
+    const score = this.getScore();
+    this.feedback.innerText = this.params.dictionary.get('l10n.orderStopsResult')
+      .replace('@score', score)
+      .replace('@total', this.getMaxScore());
+    this.feedback.classList.toggle('correct', score === this.getMaxScore());
+    this.feedback.classList.toggle('incorrect', score !== this.getMaxScore());
+  }
+
+  /**
+   * Show correct order of waypoints.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
+   */
+  showSolutions() {
+    if (this.isShowingSolutions) {
+      return;
+    }
+
+    if (this.isInProgress()) {
+      this.stopSelection();
+    }
+
+    this.isShowingSolutions = true;
+    this.update();
+
+    for (let index = 0; index < this.waypoints.length - 1; index++) {
+      this.solutionPaths.push(this.getGeoMap().addPath(
+        this.waypoints[index].getMarker().getLatLng(),
+        this.waypoints[index + 1].getMarker().getLatLng(),
+        { className: 'h5p-story-map-order-stops-path solution' },
+      ));
+    }
+  }
+
+  /**
+   * Reset task.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
+   */
+  resetTask() {
+    [...this.paths, ...this.solutionPaths].forEach((path) => {
+      this.getGeoMap().removePath(path);
+    });
+    this.paths = [];
+    this.solutionPaths = [];
+
+    this.waypoints.forEach((waypoint) => {
+      waypoint.setSequenceNumber(null);
+    });
+
+    this.order = [];
+    this.sequence = [];
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+
+    this.feedback.innerText = '';
+    this.feedback.classList.remove('correct', 'incorrect');
+
+    this.startSelection();
+  }
+
+  /**
+   * Determine whether the task was answered already.
+   * @returns {boolean} True, if answer was given.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
+   */
+  getAnswerGiven() {
+    return this.isAnswered;
+  }
+
+  /**
+   * Get score. Each pair of waypoints that follow each other in the correct order counts.
+   * @returns {number} Score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
+   */
+  getScore() {
+    if (!this.isAnswered) {
+      return 0;
+    }
+
+    return this.sequence.slice(0, -1).filter((id, index) => {
+      return this.isPairCorrect(id, this.sequence[index + 1]);
+    }).length;
+  }
+
+  /**
+   * Get maximum score.
+   * @returns {number} Maximum score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
+   */
+  getMaxScore() {
+    return Math.max(0, this.waypoints.length - 1);
+  }
+
+  /**
+   * Get xAPI definition.
+   * @returns {object} Partial xAPI definition.
+   */
+  getXAPIDefinition() {
+    const languageTag = this.params.globals.get('mainInstance')?.languageTag ?? 'en-US';
+
+    return {
+      interactionType: 'sequencing',
+      choices: this.waypoints.map((waypoint) => ({
+        id: waypoint.getId(),
+        description: { [languageTag]: waypoint.getTitle(), 'en-US': waypoint.getTitle() },
+      })),
+      correctResponsesPattern: [
+        this.waypoints.map((waypoint) => waypoint.getId()).join(XAPI_SEQUENCE_DELIMITER),
+      ],
+    };
+  }
+
+  /**
+   * Get learner response for xAPI.
+   * @returns {string} Ids of waypoints in the order chosen by the learner.
+   */
+  getXAPIResponse() {
+    return this.sequence.join(XAPI_SEQUENCE_DELIMITER);
+  }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    return {
+      order: this.order,
+      sequence: this.sequence,
+      answered: this.isAnswered,
+    };
+  }
+
+  /**
+   * Set current state.
+   * @param {object} [state] State to set, must match return value from getCurrentState.
+   */
+  setCurrentState(state = {}) {
+    const geoMap = this.getGeoMap();
+    const isKnownId = (id) => !!geoMap.getWaypointById(id);
+
+    if (Array.isArray(state?.order) && state.order.every(isKnownId)) {
+      this.order = [...state.order];
+    }
+
+    if (Array.isArray(state?.sequence)) {
+      [...new Set(state.sequence)].filter(isKnownId).forEach((id) => {
+        this.addToSequence(geoMap.getWaypointById(id));
+      });
+    }
+
+    if (state?.answered && this.sequence.length === this.waypoints.length) {
+      this.isAnswered = true;
+      this.showResult();
+    }
+
+    this.update();
+  }
+}
@@ -0,0 +1,390 @@
+import L from 'leaflet';
+import MapTask from './map-task.js';
+import { createMarkerIcon } from '@components/map/marker-icon.js';
+import Screenreader from '@services/screenreader.js';
+import { formatDistance, getDistance } from '@services/geo-util.js';
+
+/** @constant {number} METERS_PER_KILOMETER Meters per kilometer. */
+const METERS_PER_KILOMETER = 1000;
+
+/** @constant {number} PERCENTAGE_FACTOR Factor to convert percentage to ratio. */
+const PERCENTAGE_FACTOR = 100;
+
+/**
+ * Task where the learner needs to drop a pin where something is located.
+ */
+export default class PlaceMarkerTask extends MapTask {
+  /**
+   * @class
+   * @param {object} params Parameters, see MapTask.
+   * @param {object} params.taskParams Parameters set by the author.
+   * @param {string} [params.taskParams.question] Question, e.g. "Where is X?".
+   * @param {number} params.taskParams.latitude Latitude of correct location.
+   * @param {number} params.taskParams.longitude Longitude of correct location.
+   * @param {object[]} [params.taskParams.tolerances] Tolerance rings ({ distance: km, scorePercentage: number }).
+   * @param {number} [params.taskParams.maxScore] Maximum score.
+   */
+  constructor(params = {}) {
+    super(params);
+
+    this.solution = L.latLng(
+      parseFloat(this.params.taskParams.latitude) || 0,
+      parseFloat(this.params.taskParams.longitude) || 0,
+    );
+
+    // Sorted from smallest to largest ring, so the first match gives the highest credit
+    this.tolerances = (this.params.taskParams.tolerances ?? [])
+      .filter((tolerance) => typeof tolerance?.distance === 'number')
+      .sort((a, b) => a.distance - b.distance);
+
+    this.pin = null;
+    this.solutionLayers = [];
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+
+    this.buildDOM();
+
+    this.addMapEventListener('click', (event) => {
+      this.placePin(event.latlng);
+    });
+
+    this.setCurrentState(this.params.previousState);
+  }
+
+  /**
+   * Build DOM.
+   */
+  buildDOM() {
+    const question = document.createElement('div');
+    question.classList.add('h5p-story-map-map-task-question');
+    question.innerText = this.getQuestion();
+    this.dom.append(question);
+
+    const instructions = document.createElement('p');
+    instructions.classList.add('h5p-story-map-map-task-instructions');
+    instructions.innerText = this.params.dictionary.get('l10n.placeMarkerInstructions');
+    this.dom.append(instructions);
+
+    const buttons = document.createElement('div');
+    buttons.classList.add('h5p-story-map-map-task-buttons');
+    this.dom.append(buttons);
+
+    this.placeButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.placePinAtCenter'),
+      onClick: () => {
+        const center = this.getGeoMap()?.getCoordinates();
+        if (center) {
+          this.placePin(L.latLng(center.latitude, center.longitude));
+        }
+      },
+    });
+    buttons.append(this.placeButton);
+
+    this.checkButton = this.buildButton({
+      label: this.params.dictionary.get('l10n.check'),
+      onClick: () => {
+        this.check();
+      },
+    });
+    buttons.append(this.checkButton);
+
+    this.feedback = document.createElement('p');
+    this.feedback.classList.add('h5p-story-map-map-task-feedback');
+    this.dom.append(this.feedback);
+
+    this.updateButtons();
+  }
+
+  /**
+   * Get question text.
+   * @returns {string} Question text.
+   */
+  getQuestion() {
+    return this.params.taskParams.question ?? '';
+  }
+
+  /**
+   * Place pin on the map.
+   * @param {L.LatLng} latLng Coordinates.
+   * @param {object} [options] Options.
+   * @param {boolean} [options.silent] If true, don't announce placing.
+   */
+  placePin(latLng, options = {}) {
+    if (this.isInputBlocked() || !latLng) {
+      return;
+    }
+
+    if (!this.pin) {
+      this.pin = L.marker(latLng, {
+        icon: createMarkerIcon('h5p-story-map-map-task-marker'),
+        draggable: true,
+        keyboard: false, // Placing with keyboard is done via button
+      });
+      this.pin.on('dragend', () => {
+        this.handlePinMoved();
+      });
+      this.addMapLayer(this.pin);
+    }
+    else {
+      this.pin.setLatLng(latLng);
+    }
+
+    this.updateButtons();
+
+    if (!options.silent) {
+      Screenreader.read(this.params.dictionary.get('a11y.pinPlaced'));
+    }
+  }
+
+  /**
+   * Handle pin moved by dragging.
+   */
+  handlePinMoved() {
+    if (this.isInputBlocked()) {
+      this.pin.setLatLng(this.pinBlockedAt); // Answer can't be changed anymore
+      return;
+    }
+
+    Screenreader.read(this.params.dictionary.get('a11y.pinPlaced'));
+  }
+
+  /**
+   * Determine whether the learner can no longer change the pin.
+   * @returns {boolean} True, if input is blocked.
+   */
+  isInputBlocked() {
+    return this.isAnswered || this.isShowingSolutions;
+  }
+
+  /**
+   * Update button states.
+   */
+  updateButtons() {
+    this.placeButton.disabled = this.isInputBlocked();
+    this.checkButton.disabled = this.isInputBlocked() || !this.pin;
+  }
+
+  /**
+   * Check answer.
+   */
+  check() {
+    if (this.isInputBlocked() || !this.pin) {
+      return;
+    }
+
+    this.isAnswered = true;
+    this.showSolutions();
+
+    this.triggerXAPIAnswered();
+  }
+
+  /**
+   * Get distance from pin to correct location.
+   * @returns {number|null} Distance in meters or null if no pin was placed.
+   */
+  getErrorDistance() {
+    if (!this.pin) {
+      return null;
+    }
+
+    const pinLatLng = this.pin.getLatLng();
+
+    return getDistance(
+      { latitude: pinLatLng.lat, longitude: pinLatLng.lng },
+      { latitude: this.solution.lat, longitude: this.solution.lng },
+    );
+  }
+
+  /**
+   * Show correct location, tolerance rings and the error distance.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
+   */
+  showSolutions() {
+    this.isShowingSolutions = true;
+    this.pinBlockedAt = this.pin?.getLatLng();
+    this.updateButtons();
+
+    this.renderSolution();
+
+    if (!this.isMapActive) {
+      return; // Don't move the map for tasks of other waypoints
+    }
+
+    this.fitMapTo(this.pin ? [this.pin.getLatLng(), this.solution] : [this.solution]);
+
+    if (this.feedback.innerText) {
+      Screenreader.read(this.feedback.innerText);
+    }
+  }
+
+  /**
+   * Render correct location, tolerance rings, error distance and feedback.
+   */
+  renderSolution() {
+    this.removeSolutionLayers();
+
+    this.tolerances.forEach((tolerance) => {
+      this.addSolutionLayer(L.circle(this.solution, {
+        radius: tolerance.distance * METERS_PER_KILOMETER,
+        className: 'h5p-story-map-map-task-tolerance',
+        interactive: false,
+      }));
+    });
+
+    const solutionMarker = L.marker(this.solution, {
+      icon: createMarkerIcon('h5p-story-map-map-task-marker solution'),
+      keyboard: false,
+    });
+    solutionMarker.on('add', () => {
+      solutionMarker.getElement()?.setAttribute('aria-label', this.params.dictionary.get('a11y.correctLocation'));
+    });
+    this.addSolutionLayer(solutionMarker);
+
+    const distance = this.getErrorDistance();
+    if (distance === null) {
+      return;
+    }
+
+    this.addSolutionLayer(L.polyline([this.pin.getLatLng(), this.solution], {
+      className: 'h5p-story-map-map-task-line',
+      interactive: false,
+    }));
+
+    const score = this.getScore();
+    const feedbackText = this.params.dictionary.get('l10n.distanceResult')
+      .replace('@distance', formatDistance(distance, this.params.globals.get('mainInstance')?.languageTag))
+      .replace('@score', score)
+      .replace('@total', this.getMaxScore());
+
+    this.feedback.innerText = feedbackText;
+    this.feedback.classList.toggle('correct', score === this.getMaxScore());
+    this.feedback.classList.toggle('incorrect', score !== this.getMaxScore());
+  }
+
+  /**
+   * Add layer that is part of the solution.
+   * @param {L.Layer} layer Leaflet layer.
+   */
+  addSolutionLayer(layer) {
+    this.solutionLayers.push(layer);
+    this.addMapLayer(layer);
+  }
+
+  /**
+   * Remove all layers that are part of the solution.
+   */
+  removeSolutionLayers() {
+    this.solutionLayers.forEach((layer) => {
+      this.removeMapLayer(layer);
+    });
+    this.solutionLayers = [];
+  }
+
+  /**
+   * Reset task.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
+   */
+  resetTask() {
+    this.removeSolutionLayers();
+
+    if (this.pin) {
+      this.removeMapLayer(this.pin);
+      this.pin = null;
+    }
+
+    this.isAnswered = false;
+    this.isShowingSolutions = false;
+    this.feedback.innerText = '';
+    this.feedback.classList.remove('correct', 'incorrect');
+    this.updateButtons();
+  }
+
+  /**
+   * Determine whether the task was answered already.
+   * @returns {boolean} True, if answer was given.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
+   */
+  getAnswerGiven() {
+    return this.isAnswered;
+  }
+
+  /**
+   * Get score. Full or partial credit is given for the smallest tolerance ring the pin is in.
+   * @returns {number} Score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
+   */
+  getScore() {
+    const distance = this.getErrorDistance();
+    if (!this.isAnswered || distance === null) {
+      return 0;
+    }
+
+    const tolerance = this.tolerances.find((tolerance) => {
+      return distance <= tolerance.distance * METERS_PER_KILOMETER;
+    });
+
+    const scorePercentage = tolerance?.scorePercentage ?? 0;
+
+    return Math.round(this.getMaxScore() * scorePercentage / PERCENTAGE_FACTOR);
+  }
+
+  /**
+   * Get maximum score.
+   * @returns {number} Maximum score.
+   * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
+   */
+  getMaxScore() {
+    return PlaceMarkerTask.getMaxScore(this.params.taskParams);
+  }
+
+  /**
+   * Get xAPI definition.
+   * @returns {object} Partial xAPI definition.
+   */
+  getXAPIDefinition() {
+    return {
+      interactionType: 'other',
+      correctResponsesPattern: [`${this.solution.lat},${this.solution.lng}`],
+    };
+  }
+
+  /**
+   * Get learner response for xAPI.
+   * @returns {string} Coordinates of pin.
+   */
+  getXAPIResponse() {
+    const latLng = this.pin?.getLatLng();
+
+    return latLng ? `${latLng.lat},${latLng.lng}` : '';
+  }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    const latLng = this.pin?.getLatLng();
+
+    return {
+      pin: latLng ? { latitude: latLng.lat, longitude: latLng.lng } : null,
+      answered: this.isAnswered,
+    };
+  }
+
+  /**
+   * Set current state.
+   * @param {object} [state] State to set, must match return value from getCurrentState.
+   */
+  setCurrentState(state = {}) {
+    if (typeof state?.pin?.latitude === 'number' && typeof state?.pin?.longitude === 'number') {
+      this.placePin(L.latLng(state.pin.latitude, state.pin.longitude), { silent: true });
+    }
+
+    if (state?.answered && this.pin) {
+      this.isAnswered = true;
+      this.pinBlockedAt = this.pin.getLatLng();
+      this.updateButtons();
+      this.renderSolution();
+    }
+  }
+}
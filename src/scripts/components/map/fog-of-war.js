@@ -0,0 +1,109 @@
+import L from 'leaflet';
+import { extend } from '@services/util.js';
+import './fog-of-war.scss';
+
+/** @constant {string} FOG_PANE_NAME Name of the map pane that holds the fog, placed between tiles and paths. */
+const FOG_PANE_NAME = 'fogPane';
+
+/** @constant {number} SOFT_EDGE_PERCENTAGE Percentage of the radius where the fog starts to fade in. */
+const SOFT_EDGE_PERCENTAGE = 80;
+
+/** @constant {string} VIEW_EVENTS Leaflet events that require the fog to be redrawn. */
+const VIEW_EVENTS = 'move zoom viewreset resize';
+
+/**
+ * Opaque layer covering the map except for the areas that were uncovered.
+ */
+export default class FogOfWar {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {L.Map} params.map Leaflet map to cover.
+   * @param {object[]} [params.areas] Areas ({ id: string, latitude: number, longitude: number, radius: number }).
+   */
+  constructor(params = {}) {
+    this.params = extend({
+      areas: [],
+    }, params);
+
+    this.map = this.params.map;
+    this.areas = [...this.params.areas];
+
+    const pane = this.map.getPane(FOG_PANE_NAME) ?? this.map.createPane(FOG_PANE_NAME);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-fog-of-war');
+    this.dom.setAttribute('aria-hidden', 'true');
+    pane.append(this.dom);
+
+    this.map.on(VIEW_EVENTS, () => {
+      this.update();
+    });
+
+    this.update();
+  }
+
+  /**
+   * Uncover an area. Areas with an id that was uncovered before are ignored.
+   * @param {object} area Area ({ id: string, latitude: number, longitude: number, radius: number }).
+   */
+  uncover(area = {}) {
+    if (this.areas.some((uncoveredArea) => uncoveredArea.id === area.id)) {
+      return;
+    }
+
+    this.areas.push(area);
+    this.update();
+  }
+
+  /**
+   * Get ids of uncovered areas.
+   * @returns {string[]} Ids of uncovered areas.
+   */
+  getUncoveredIds() {
+    return this.areas.map((area) => area.id);
+  }
+
+  /**
+   * Cover all areas again.
+   */
+  reset() {
+    this.areas = [];
+    this.update();
+  }
+
+  /**
+   * Redraw fog to match the current view of the map.
+   */
+  update() {
+    const size = this.map.getSize();
+
+    L.DomUtil.setPosition(this.dom, this.map.containerPointToLayerPoint([0, 0]));
+    this.dom.style.width = `${size.x}px`;
+    this.dom.style.height = `${size.y}px`;
+
+    // Each mask layer keeps the fog outside of one area, layers are intersected in CSS
+    const masks = this.areas.map((area) => {
+      const center = this.map.latLngToContainerPoint([area.latitude, area.longitude]);
+      const radius = this.getRadiusInPixels(area);
+
+      return `radial-gradient(circle ${radius}px at ${center.x}px ${center.y}px, ` +
+        `transparent ${SOFT_EDGE_PERCENTAGE}%, #000 100%)`;
+    });
+
+    this.dom.style.maskImage = masks.length ? masks.join(', ') : 'none';
+  }
+
+  /**
+   * Get radius of an area in pixels at the current zoom level.
+   * @param {object} area Area ({ latitude: number, longitude: number, radius: number }).
+   * @returns {number} Radius in pixels.
+   */
+  getRadiusInPixels(area) {
+    const bounds = L.latLng(area.latitude, area.longitude).toBounds(area.radius * 2);
+    const center = this.map.latLngToContainerPoint([area.latitude, area.longitude]);
+    const north = this.map.latLngToContainerPoint([bounds.getNorth(), area.longitude]);
+
+    return Math.max(0, center.y - north.y);
+  }
+}
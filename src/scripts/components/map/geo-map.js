@@ -1,9 +1,11 @@
 import L from 'leaflet';
 import MiniMap from 'leaflet-minimap';
-import MARKER_SVG from '@assets/marker.svg?inline';
-import { extend } from '@services/util.js';
+import { callOnceVisible, extend, sanitizeNumber } from '@services/util.js';
 import Waypoint from '@models/waypoint.js';
-import { callOnceVisible, sanitizeNumber } from '@services/util.js';
+import FogOfWar from './fog-of-war.js';
+import { createMarkerIcon } from './marker-icon.js';
+import { getNearestTrackPointIndex, getTrackSection } from '@services/gpx-track.js';
+import { OVERLAY_TYPE_AREA, OVERLAY_TYPE_IMAGE, OVERLAY_TYPE_PATH } from '@services/kml-import.js';
 import { isUsingMouse } from '@services/h5p-util.js';
 
 import 'leaflet/dist/leaflet.css';
@@ -24,22 +26,24 @@ const DEFAULT_MAP_CENTER_Y_PERCENTAGE = 0.5;
 /** @constant {number} DEFAULT_ZOOM_LEVEL Default zoom level. */
 const DEFAULT_ZOOM_LEVEL = 13;
 
+/** @constant {number} FIT_BOUNDS_PADDING_PX Padding when fitting all waypoints into view. */
+const FIT_BOUNDS_PADDING_PX = 32;
+
+/** @constant {number} USER_POSITION_RADIUS_PX Radius of the marker for the user's position. */
+const USER_POSITION_RADIUS_PX = 8;
+
+/** @constant {number} DEFAULT_FOG_RADIUS_METERS Default radius around visited waypoints that is uncovered. */
+const DEFAULT_FOG_RADIUS_METERS = 500;
+
+/** @constant {string} IMAGES_PANE_NAME Name of the map pane that holds image overlays, placed between tiles and fog. */
+const IMAGES_PANE_NAME = 'imagesPane';
+
 /** @constant {number[]} DEFAULT_COORDINATES Default coordinates (H5P Group in Tromsø). */
 // eslint-disable-next-line
 const DEFAULT_COORDINATES = [69.6456737, 18.9501558];
 
 /** @constant {object} MARKER_ICON Marker icon.*/
-const MARKER_ICON = L.divIcon({
-  html: MARKER_SVG,
-  // eslint-disable-next-line
-  iconSize: [30, 45],
-  // eslint-disable-next-line
-  iconAnchor: [15, 45],
-  // eslint-disable-next-line
-  popupAnchor: [0, -40.5],
-  // eslint-disable-next-line
-  tooltipAnchor: [0, -39]
-});
+const MARKER_ICON = createMarkerIcon();
 
 /** @constant {object} MAP_SERVICES Map services. */
 const MAP_SERVICES = {
@@ -97,7 +101,9 @@ export default class GeoMap {
   constructor(params = {}, callbacks = {}) {
     this.params = extend({
       waypoints: [],
+      overlays: [],
       coordinates: {},
+      fogOfWar: {},
     }, params);
 
 
@@ -111,10 +117,14 @@ export default class GeoMap {
       onMarkerClick: () => {},
       onWaypointContentOpened: () => {},
       onMarkerFocus: () => {},
+      onMapClick: () => {},
+      onViewChanged: () => {},
     }, callbacks);
 
     this.waypoints = [];
     this.paths = [];
+    this.connections = [];
+    this.track = [];
 
     this.buildDOM();
     this.buildMap();
@@ -155,20 +165,71 @@ export default class GeoMap {
       });
     });
 
+    this.map.on('moveend', () => {
+      this.callbacks.onViewChanged();
+    });
+
+    this.map.on('click', (event) => {
+      this.callbacks.onMapClick({ latitude: event.latlng.lat, longitude: event.latlng.lng });
+    });
+
+    this.buildOverlays();
+
     this.params.waypoints.forEach((waypointParams, index) => {
       waypointParams.index = index;
       this.addWaypoint(waypointParams);
     });
 
+    this.validateBranches();
+
     if (this.params.showPaths) {
       this.connectMarkersWithPaths();
     }
 
+    if (this.params.fogOfWar.enabled) {
+      this.buildFogOfWar();
+    }
+
     this.dom.append(this.map);
 
     this.overrideLeafletZoomButtons();
   }
 
+  /**
+   * Build overlays that are not waypoints, e.g. imported from KML.
+   */
+  buildOverlays() {
+    this.params.overlays.forEach((overlay) => {
+      let layer;
+
+      if (overlay.type === OVERLAY_TYPE_PATH) {
+        layer = L.polyline(
+          overlay.coordinates.map((point) => [point.latitude, point.longitude]),
+          { className: 'h5p-story-map-overlay-path', interactive: false },
+        );
+      }
+      else if (overlay.type === OVERLAY_TYPE_AREA) {
+        layer = L.polygon(
+          overlay.rings.map((ring) => ring.map((point) => [point.latitude, point.longitude])),
+          { className: 'h5p-story-map-overlay-area', interactive: false },
+        );
+      }
+      else if (overlay.type === OVERLAY_TYPE_IMAGE) {
+        if (!this.map.getPane(IMAGES_PANE_NAME)) {
+          this.map.createPane(IMAGES_PANE_NAME);
+        }
+
+        layer = L.imageOverlay(
+          overlay.url,
+          [[overlay.bounds.south, overlay.bounds.west], [overlay.bounds.north, overlay.bounds.east]],
+          { pane: IMAGES_PANE_NAME, alt: overlay.name ?? '', className: 'h5p-story-map-overlay-image' },
+        );
+      }
+
+      layer?.addTo(this.map);
+    });
+  }
+
   /**
    * Add a waypoint to the map.
    * @param {object} params Parameters for the waypoint.
@@ -184,6 +245,9 @@ export default class GeoMap {
     markerDOM.setAttribute('aria-label', ariaLabel);
     const tooltip = H5P.Tooltip?.(markerDOM, { position: 'bottom' });
 
+    // Ids must be stable across page loads to restore the previous state
+    const id = params.id || `waypoint-${params.index}`;
+
     const waypoint = new Waypoint(
       {
         globals: this.params.globals,
@@ -191,13 +255,25 @@ export default class GeoMap {
         marker: marker,
         waypointParams: {
           index: params.index,
-          id: params.id || H5P.createUUID(),
+          id: id,
           latitude: params.latitude,
           longitude: params.longitude,
           title: params.title,
           contents: params.contents || [],
+          journalPrompt: params.journalPrompt,
+          branches: params.branches || [],
+          endOfRoute: params.endOfRoute ?? false,
+          unlockRadius: params.unlockRadius,
+          accessCode: params.accessCode,
+          revealMode: params.revealMode,
+          revealZoomLevel: params.revealZoomLevel,
+          revealRadius: params.revealRadius,
+          revealMinScorePercentage: params.revealMinScorePercentage,
+          fogRadius: params.fogRadius,
         },
         tooltip: tooltip,
+        previousState: this.params.previousState?.waypoints?.[id],
+        resumeMediaOnReturn: this.params.resumeMediaOnReturn,
       },
       {
         onTaskCompleted: () => {
@@ -209,19 +285,19 @@ export default class GeoMap {
 
     marker.on('keydown', (event) => {
       if (event.originalEvent.key === 'Enter' || event.originalEvent.key === ' ') {
-        this.callbacks.onMarkerClick(waypoint);
+        this.handleMarkerClick(waypoint);
         waypoint.hideTooltip();
       }
     });
 
     marker.on('click', () => {
-      this.callbacks.onMarkerClick(waypoint);
+      this.handleMarkerClick(waypoint);
     });
 
     markerDOM.addEventListener('focus', () => {
       // Cathing focus inhibits click event with leaflet
       if (isUsingMouse() || isUsingMouse('.h5peditor-storymap')) {
-        this.callbacks.onMarkerClick(waypoint);
+        this.handleMarkerClick(waypoint);
       }
       else {
         this.callbacks.onMarkerFocus(waypoint);
@@ -232,16 +308,214 @@ export default class GeoMap {
   }
 
   /**
-   * Connect markers with paths.
+   * Handle click on marker.
+   * @param {Waypoint} waypoint Waypoint of marker that was clicked.
+   */
+  handleMarkerClick(waypoint) {
+    if (this.markerSelectionHandler) {
+      this.markerSelectionHandler(waypoint);
+      return;
+    }
+
+    this.callbacks.onMarkerClick(waypoint);
+  }
+
+  /**
+   * Set handler for selecting markers instead of opening their content, e.g. for tasks.
+   * @param {function|null} handler Handler receiving the waypoint or null to open contents again.
+   */
+  setMarkerSelectionHandler(handler) {
+    this.markerSelectionHandler = typeof handler === 'function' ? handler : null;
+  }
+
+  /**
+   * Set order of markers in the DOM, which determines the tab order.
+   * @param {Waypoint[]} waypoints Waypoints in the order to use.
+   */
+  setMarkerOrder(waypoints = []) {
+    waypoints.forEach((waypoint) => {
+      const markerElement = waypoint.getMarker().getElement();
+      markerElement?.parentNode?.append(markerElement);
+    });
+  }
+
+  /**
+   * Connect markers with paths along the branches between waypoints.
    */
   connectMarkersWithPaths() {
-    for (let i = 0; i < this.waypoints.length; i++) {
-      if (i === 0) {
-        continue;
-      }
+    const connectedIds = new Set();
+
+    this.waypoints.forEach((waypoint) => {
+      this.getSuccessors(waypoint).forEach((successor) => {
+        // Only one path if waypoints lead to each other
+        const connectionId = [waypoint.getId(), successor.getId()].sort().join('-');
+        if (connectedIds.has(connectionId)) {
+          return;
+        }
+        connectedIds.add(connectionId);
+
+        const path = this.addPath(
+          waypoint.getMarker().getLatLng(),
+          successor.getMarker().getLatLng(),
+          { via: this.getTrackSectionBetween(waypoint, successor) },
+        );
+        this.connections.push({ path: path, waypoints: [waypoint, successor] });
+      });
+    });
+
+    this.updateConnectionVisibility();
+  }
+
+  /**
+   * Set track that the paths between waypoints follow instead of straight lines.
+   * @param {object[]} track Track points ({ latitude: number, longitude: number }).
+   */
+  setTrack(track = []) {
+    this.track = track;
+
+    if (this.params.showPaths) {
+      this.connections.forEach((connection) => {
+        this.removePath(connection.path);
+      });
+      this.connectMarkersWithPaths();
+    }
+  }
+
+  /**
+   * Get index of the track point that is nearest to a waypoint.
+   * @param {Waypoint} waypoint Waypoint.
+   * @returns {number} Index of track point or -1 if there is no track.
+   */
+  getTrackPointIndex(waypoint) {
+    return getNearestTrackPointIndex(this.track, waypoint.getCoordinates());
+  }
+
+  /**
+   * Get the track points between two waypoints, snapped to the track points nearest to them.
+   * @param {Waypoint} from Waypoint to start from.
+   * @param {Waypoint} to Waypoint to go to.
+   * @returns {L.LatLng[]} Track points in the order of travel, empty if there is no track.
+   */
+  getTrackSectionBetween(from, to) {
+    if (!this.track.length) {
+      return [];
+    }
+
+    return getTrackSection(this.track, this.getTrackPointIndex(from), this.getTrackPointIndex(to))
+      .map((point) => L.latLng(point.latitude, point.longitude));
+  }
+
+  /**
+   * Hide paths that would give away the location of hidden waypoints.
+   */
+  updateConnectionVisibility() {
+    this.connections.forEach((connection) => {
+      const leadsToHiddenWaypoint = connection.waypoints.some((waypoint) => waypoint.isHidden());
+      connection.path.getElement()?.classList.toggle('hidden', leadsToHiddenWaypoint);
+    });
+  }
+
+  /**
+   * Determine whether a waypoint is within the visible part of the map.
+   * @param {Waypoint} waypoint Waypoint.
+   * @returns {boolean} True, if waypoint is in view.
+   */
+  isInView(waypoint) {
+    return this.map.getBounds().contains(waypoint.getMarker().getLatLng());
+  }
+
+  /**
+   * Build fog that covers the map except around waypoints that were visited before.
+   */
+  buildFogOfWar() {
+    const uncoveredIds = this.params.previousState?.uncoveredWaypointIds ?? [];
+
+    this.fogOfWar = new FogOfWar({
+      map: this.map,
+      areas: this.waypoints
+        .filter((waypoint) => uncoveredIds.includes(waypoint.getId()))
+        .map((waypoint) => this.getFogArea(waypoint)),
+    });
+  }
+
+  /**
+   * Get the area around a waypoint that is uncovered once the waypoint was visited.
+   * @param {Waypoint} waypoint Waypoint.
+   * @returns {object} Area ({ id: string, latitude: number, longitude: number, radius: number }).
+   */
+  getFogArea(waypoint) {
+    return {
+      id: waypoint.getId(),
+      ...waypoint.getCoordinates(),
+      radius: waypoint.getFogRadius() ?? this.params.fogOfWar.radius ?? DEFAULT_FOG_RADIUS_METERS,
+    };
+  }
+
+  /**
+   * Uncover the area around a waypoint if the map is covered by fog.
+   * @param {Waypoint} waypoint Waypoint.
+   */
+  uncoverAroundWaypoint(waypoint) {
+    this.fogOfWar?.uncover(this.getFogArea(waypoint));
+  }
+
+  /**
+   * Get ids of waypoints whose area is uncovered.
+   * @returns {string[]} Ids of waypoints.
+   */
+  getUncoveredWaypointIds() {
+    return this.fogOfWar?.getUncoveredIds() ?? [];
+  }
+
+  /**
+   * Warn about branches that do not lead to any waypoint.
+   */
+  validateBranches() {
+    this.waypoints.forEach((waypoint) => {
+      waypoint.getBranches().forEach((branch) => {
+        if (!this.getWaypointByIdOrTitle(branch.target)) {
+          console.warn(`Story Map: Target "${branch.target}" of waypoint "${waypoint.getTitle()}" not found.`);
+        }
+      });
+    });
+  }
 
-      this.addPath(this.waypoints[i - 1].getMarker().getLatLng(), this.waypoints[i].getMarker().getLatLng());
+  /**
+   * Get branches of a waypoint that lead to existing waypoints.
+   * @param {Waypoint} waypoint Waypoint.
+   * @returns {object[]} Branches ({ label: string, waypoint: Waypoint, minScorePercentage: number }).
+   */
+  getBranches(waypoint) {
+    if (!waypoint) {
+      return [];
     }
+
+    return waypoint.getBranches()
+      .map((branch) => ({
+        label: branch.label || this.getWaypointByIdOrTitle(branch.target)?.getTitle(),
+        waypoint: this.getWaypointByIdOrTitle(branch.target),
+        minScorePercentage: branch.minScorePercentage,
+      }))
+      .filter((branch) => branch.waypoint && branch.waypoint !== waypoint);
+  }
+
+  /**
+   * Get waypoints that follow a waypoint, either by branches or by order.
+   * @param {Waypoint} waypoint Waypoint.
+   * @returns {Waypoint[]} Waypoints that follow.
+   */
+  getSuccessors(waypoint) {
+    if (!waypoint || waypoint.isEndOfRoute()) {
+      return [];
+    }
+
+    const branches = this.getBranches(waypoint);
+    if (branches.length) {
+      return branches.map((branch) => branch.waypoint);
+    }
+
+    const nextWaypoint = this.getWaypointByIndex(waypoint.getIndex() + 1);
+    return nextWaypoint ? [nextWaypoint] : [];
   }
 
   /**
@@ -260,17 +534,93 @@ export default class GeoMap {
   removePath(path) {
     this.map.removeLayer(path);
     this.paths = this.paths.filter((p) => p !== path);
+    this.connections = this.connections.filter((connection) => connection.path !== path);
   }
 
   /**
    * Add path between two points.
    * @param {L.LatLng} latLng1 First point.
    * @param {L.LatLng} latLng2 Second point.
+   * @param {object} [options] Options.
+   * @param {string} [options.className] Class name(s) to add to the path.
+   * @param {L.LatLng[]} [options.via] Points to pass between first and second point, e.g. of a track.
+   * @returns {L.Polyline} Path.
    */
-  addPath(latLng1, latLng2) {
-    const path = L.polyline([latLng1, latLng2]);
+  addPath(latLng1, latLng2, options = {}) {
+    const path = L.polyline([latLng1, ...(options.via ?? []), latLng2], { className: options.className ?? '' });
     path.addTo(this.map);
     this.paths.push(path);
+
+    return path;
+  }
+
+  /**
+   * Add layer to the map, e.g. for tasks that use the map.
+   * @param {L.Layer} layer Leaflet layer.
+   */
+  addLayer(layer) {
+    layer.addTo(this.map);
+  }
+
+  /**
+   * Remove layer from the map.
+   * @param {L.Layer} layer Leaflet layer.
+   */
+  removeLayer(layer) {
+    this.map.removeLayer(layer);
+  }
+
+  /**
+   * Show the user's position on the map.
+   * @param {object|null} position Position ({ latitude: number, longitude: number, accuracy: number }) or null to hide.
+   */
+  setUserPosition(position) {
+    if (!position) {
+      this.userPositionLayers?.forEach((layer) => {
+        this.map.removeLayer(layer);
+      });
+      this.userPositionLayers = null;
+      return;
+    }
+
+    const latLng = L.latLng(position.latitude, position.longitude);
+
+    if (!this.userPositionLayers) {
+      this.userPositionLayers = [
+        L.circle(latLng, { className: 'geo-map-user-position-accuracy', interactive: false }),
+        L.circleMarker(latLng, {
+          className: 'geo-map-user-position',
+          radius: USER_POSITION_RADIUS_PX,
+          interactive: false,
+        }),
+      ];
+      this.userPositionLayers.forEach((layer) => {
+        layer.addTo(this.map);
+      });
+    }
+
+    const [accuracyCircle, positionMarker] = this.userPositionLayers;
+    accuracyCircle.setLatLng(latLng);
+    accuracyCircle.setRadius(position.accuracy ?? 0);
+    positionMarker.setLatLng(latLng);
+  }
+
+  /**
+   * Add listener for map events, e.g. for tasks that use the map.
+   * @param {string} eventName Name of leaflet map event.
+   * @param {function} handler Handler receiving the leaflet event.
+   */
+  addMapEventListener(eventName, handler) {
+    this.map.on(eventName, handler);
+  }
+
+  /**
+   * Remove listener for map events.
+   * @param {string} eventName Name of leaflet map event.
+   * @param {function} handler Handler that was added before.
+   */
+  removeMapEventListener(eventName, handler) {
+    this.map.off(eventName, handler);
   }
 
   /**
@@ -377,6 +727,33 @@ export default class GeoMap {
     this.map.panTo([latitude, longitude]);
   }
 
+  /**
+   * Fit map view to show all waypoints.
+   */
+  fitWaypoints() {
+    this.fitCoordinates(this.waypoints.map((waypoint) => waypoint.getMarker().getLatLng()));
+  }
+
+  /**
+   * Fit map view to show all coordinates.
+   * @param {L.LatLng[]} latLngs Coordinates to show.
+   * @param {object} [options] Options.
+   * @param {number} [options.coveredRightPercentage] Percentage of map width on the right that is covered.
+   */
+  fitCoordinates(latLngs = [], options = {}) {
+    if (!latLngs.length) {
+      return;
+    }
+
+    const coveredRightPercentage = sanitizeNumber(options.coveredRightPercentage, 0, 0, 1);
+    const coveredRight = this.getSize().width * coveredRightPercentage;
+
+    this.map.fitBounds(L.latLngBounds(latLngs), {
+      paddingTopLeft: [FIT_BOUNDS_PADDING_PX, FIT_BOUNDS_PADDING_PX],
+      paddingBottomRight: [FIT_BOUNDS_PADDING_PX + coveredRight, FIT_BOUNDS_PADDING_PX],
+    });
+  }
+
   /**
    * Get current zoom level.
    * @returns {number} Current zoom level.
@@ -398,6 +775,8 @@ export default class GeoMap {
       waypoint.reset();
     });
 
+    this.fogOfWar?.reset();
+
     if (!this.waypoints.length) {
       return;
     }
@@ -427,6 +806,20 @@ export default class GeoMap {
     return this.waypoints.find((waypoint) => waypoint.getId() === id);
   }
 
+  /**
+   * Get waypoint by ID or by title.
+   * @param {string} idOrTitle ID or title of the waypoint to get.
+   * @returns {object|undefined} Waypoint object or undefined if not found.
+   */
+  getWaypointByIdOrTitle(idOrTitle) {
+    if (typeof idOrTitle !== 'string' || !idOrTitle.trim()) {
+      return;
+    }
+
+    return this.getWaypointById(idOrTitle.trim()) ??
+      this.waypoints.find((waypoint) => waypoint.getTitle().trim() === idOrTitle.trim());
+  }
+
   /**
    * Get the DOM element of the map.
    * @returns {HTMLElement} The DOM element of the map.
@@ -536,6 +929,22 @@ export default class GeoMap {
     });
   }
 
+  /**
+   * Get all waypoints.
+   * @returns {Waypoint[]} Waypoints.
+   */
+  getWaypoints() {
+    return this.waypoints;
+  }
+
+  /**
+   * Get open waypoint.
+   * @returns {Waypoint|undefined} Open waypoint or undefined if none is open.
+   */
+  getOpenWaypoint() {
+    return this.waypoints.find((waypoint) => waypoint.isOpen());
+  }
+
   /**
    * Get all content bundles.
    * @returns {object[]} Content bundles.
@@ -543,4 +952,15 @@ export default class GeoMap {
   getContentBundles() {
     return this.waypoints.map((waypoint) => waypoint.getContentBundle());
   }
+
+  /**
+   * Get current state of all waypoints.
+   * @returns {object} Current states of waypoints, keyed by waypoint id.
+   */
+  getWaypointsState() {
+    return this.waypoints.reduce((states, waypoint) => {
+      states[waypoint.getId()] = waypoint.getCurrentState();
+      return states;
+    }, {});
+  }
 }
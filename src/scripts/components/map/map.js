@@ -16,14 +16,19 @@ export default class Map {
   constructor(params = {}, callbacks = {}) {
     this.params = extend({
       waypoints: [],
+      overlays: [],
       mapStyle: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
       showPaths: true,
       userCanUseMiniMap: true,
+      resumeMediaOnReturn: false,
     }, params);
 
     this.callbacks = extend({
       onWaypointContentOpened: () => {},
+      onWaypointLocked: () => {},
       onMarkerFocus: () => {},
+      onMapClick: () => {},
+      onViewChanged: () => {},
     }, callbacks);
 
     this.dom = document.createElement('div');
@@ -44,9 +49,13 @@ export default class Map {
         globals: this.params.globals,
         dictionary: this.params.dictionary,
         waypoints: this.params.waypoints,
+        overlays: this.params.overlays,
         showPaths: this.params.showPaths,
+        resumeMediaOnReturn: this.params.resumeMediaOnReturn,
+        fogOfWar: this.params.fogOfWar,
         zoomLevel: this.params.previousState?.zoomLevel ?? this.params.zoomLevelDefault,
         coordinates: this.params.previousState?.coordinates ?? coordinatesFirstWaypoint,
+        previousState: this.params.previousState,
       },
       {
         onMarkerClick: (waypoint) => {
@@ -61,9 +70,18 @@ export default class Map {
         onTaskCompleted: () => {
           this.callbacks.onTaskCompleted();
         },
+        onMapClick: (coordinates) => {
+          this.callbacks.onMapClick(coordinates);
+        },
+        onViewChanged: () => {
+          this.callbacks.onViewChanged();
+        },
       },
     );
     this.mapContainer.append(this.geoMap.getDOM());
+
+    // Tasks that use the map are instantiated lazily by content bundles
+    this.params.globals.set('geoMap', this.geoMap);
     this.geoMap.setMapStyle(this.params.mapStyle);
 
     this.contentOverlay = new ContentOverlay();
@@ -97,10 +115,75 @@ export default class Map {
    * Reset map.
    */
   reset() {
+    this.deactivateOpenWaypoint();
     this.contentOverlay.hide();
     this.geoMap.reset();
   }
 
+  /**
+   * Fit map view to show all waypoints.
+   */
+  fitWaypoints() {
+    this.geoMap.fitWaypoints();
+  }
+
+  /**
+   * Set track that the paths between waypoints follow.
+   * @param {object[]} track Track points ({ latitude: number, longitude: number }).
+   */
+  setTrack(track) {
+    this.geoMap.setTrack(track);
+  }
+
+  /**
+   * Get index of the track point that is nearest to a waypoint.
+   * @param {Waypoint} waypoint Waypoint.
+   * @returns {number} Index of track point or -1 if there is no track.
+   */
+  getTrackPointIndex(waypoint) {
+    return this.geoMap.getTrackPointIndex(waypoint);
+  }
+
+  /**
+   * Update visibility of paths after waypoints were hidden or revealed.
+   */
+  updateConnectionVisibility() {
+    this.geoMap.updateConnectionVisibility();
+  }
+
+  /**
+   * Determine whether a waypoint is within the visible part of the map.
+   * @param {object} waypoint Waypoint.
+   * @returns {boolean} True, if waypoint is in view.
+   */
+  isInView(waypoint) {
+    return this.geoMap.isInView(waypoint);
+  }
+
+  /**
+   * Get coordinates of the map center.
+   * @returns {object} Coordinates ({ latitude: number, longitude: number }).
+   */
+  getCenterCoordinates() {
+    return this.geoMap.getCoordinates();
+  }
+
+  /**
+   * Get current zoom level.
+   * @returns {number} Zoom level.
+   */
+  getZoomLevel() {
+    return this.geoMap.getZoomLevel();
+  }
+
+  /**
+   * Show the user's position on the map.
+   * @param {object|null} position Position ({ latitude: number, longitude: number, accuracy: number }) or null to hide.
+   */
+  setUserPosition(position) {
+    this.geoMap.setUserPosition(position);
+  }
+
   /**
    * Get waypoint by index.
    * @param {number} index Index of the waypoint.
@@ -110,6 +193,41 @@ export default class Map {
     return this.geoMap.getWaypointByIndex(index);
   }
 
+  /**
+   * Get all waypoints.
+   * @returns {object[]} Waypoints.
+   */
+  getWaypoints() {
+    return this.geoMap.getWaypoints();
+  }
+
+  /**
+   * Get waypoint by id.
+   * @param {string} id Id of the waypoint.
+   * @returns {object} Waypoint.
+   */
+  getWaypointById(id) {
+    return this.geoMap.getWaypointById(id);
+  }
+
+  /**
+   * Get branches of a waypoint that lead to existing waypoints.
+   * @param {object} waypoint Waypoint.
+   * @returns {object[]} Branches.
+   */
+  getBranches(waypoint) {
+    return this.geoMap.getBranches(waypoint);
+  }
+
+  /**
+   * Get waypoints that follow a waypoint.
+   * @param {object} waypoint Waypoint.
+   * @returns {object[]} Waypoints that follow.
+   */
+  getSuccessors(waypoint) {
+    return this.geoMap.getSuccessors(waypoint);
+  }
+
   /**
    * Open waypoint content by index.
    * @param {number} index Index of the waypoint.
@@ -132,11 +250,19 @@ export default class Map {
    * @param {boolean} [options.panTo] Whether to pan to the waypoint.
    */
   openWaypointContent(waypoint, options = {}) {
-    if (!waypoint || waypoint.isOpen()) {
+    if (!waypoint || waypoint.isOpen() || waypoint.isHidden()) {
       return;
     }
 
+    if (waypoint.isLocked()) {
+      this.callbacks.onWaypointLocked(waypoint);
+      return;
+    }
+
+    this.deactivateOpenWaypoint();
     this.geoMap.setOpenWaypoint(waypoint);
+    this.geoMap.uncoverAroundWaypoint(waypoint);
+    waypoint.activate();
 
     waypoint.hideContentDOM();
     this.contentOverlay.setContent(waypoint.getContentDOM());
@@ -154,6 +280,13 @@ export default class Map {
     this.callbacks.onMarkerFocus(waypoint);
   }
 
+  /**
+   * Deactivate open waypoint, e.g. to pause media.
+   */
+  deactivateOpenWaypoint() {
+    this.geoMap.getOpenWaypoint()?.deactivate();
+  }
+
   /**
    * Center map on waypoint.
    * @param {object} waypoint Waypoint.
@@ -219,6 +352,8 @@ export default class Map {
     return {
       zoomLevel: this.geoMap.getZoomLevel(),
       coordinates: coordinates,
+      waypoints: this.geoMap.getWaypointsState(),
+      uncoveredWaypointIds: this.geoMap.getUncoveredWaypointIds(),
     };
   }
 
@@ -0,0 +1,22 @@
+import L from 'leaflet';
+import MARKER_SVG from '@assets/marker.svg?inline';
+
+/**
+ * Create marker icon.
+ * @param {string} [className] Class name(s) to add to the marker icon.
+ * @returns {L.DivIcon} Marker icon.
+ */
+export const createMarkerIcon = (className = '') => {
+  return L.divIcon({
+    html: MARKER_SVG,
+    className: `leaflet-div-icon ${className}`.trim(),
+    // eslint-disable-next-line
+    iconSize: [30, 45],
+    // eslint-disable-next-line
+    iconAnchor: [15, 45],
+    // eslint-disable-next-line
+    popupAnchor: [0, -40.5],
+    // eslint-disable-next-line
+    tooltipAnchor: [0, -39]
+  });
+};
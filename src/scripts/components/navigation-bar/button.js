@@ -101,6 +101,14 @@ export default class Button {
     this.dom.classList.add('display-none');
   }
 
+  /**
+   * Determine whether button is visible.
+   * @returns {boolean} True, if button is visible, else false.
+   */
+  isVisible() {
+    return !this.dom.classList.contains('display-none');
+  }
+
   /**
    * Focus button.
    */
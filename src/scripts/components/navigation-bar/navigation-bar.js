@@ -20,6 +20,11 @@ export default class NavigationBar {
       onClickButtonLeft: () => {},
       onClickButtonRight: () => {},
       onClickButtonReset: () => {},
+      onClickButtonSummary: () => {},
+      onClickButtonAddPin: () => {},
+      onClickButtonSearchHere: () => {},
+      onClickButtonJournal: () => {},
+      onClickButtonExportJourney: () => {},
       onClickButtonMiniMap: () => {},
       onClickButtonFullscreen: () => {},
     }, callbacks);
@@ -31,6 +36,19 @@ export default class NavigationBar {
     this.buttons.left = buttons.left;
     this.buttons.right = buttons.right;
     this.buttons.reset = buttons.reset;
+    this.buttons.summary = buttons.summary;
+    if (buttons.addPin) {
+      this.buttons.addPin = buttons.addPin;
+    }
+    if (buttons.searchHere) {
+      this.buttons.searchHere = buttons.searchHere;
+    }
+    if (buttons.journal) {
+      this.buttons.journal = buttons.journal;
+    }
+    if (buttons.exportJourney) {
+      this.buttons.exportJourney = buttons.exportJourney;
+    }
     if (buttons.minimap) {
       this.buttons.minimap = buttons.minimap;
     }
@@ -39,10 +57,7 @@ export default class NavigationBar {
     }
 
     // Make first button active one
-    Object.values(this.buttons).forEach((button, index) => {
-      button.setAttribute('tabindex', index === 0 ? '0' : '-1');
-    });
-    this.currentButtonIndex = 0;
+    this.resetButtonFocus();
   }
 
   /**
@@ -155,8 +170,12 @@ export default class NavigationBar {
   buildProgressIndicator() {
     this.progressIndicator = new ProgressIndicator({
       dictionary: this.params.dictionary,
+      min: 0,
+      max: this.params.numberOfWaypoints ?? 1,
+      now: 0,
     });
     this.progressIndicator.toggleTextMode(true);
+    this.progressIndicator.toggleNumbersWithText((this.params.numberOfWaypoints ?? 0) > 0);
 
     return this.progressIndicator.getDOM();
   }
@@ -190,6 +209,119 @@ export default class NavigationBar {
     );
     buttonsContainerActions.append(buttons.reset.getDOM());
 
+    buttons.summary = new Button(
+      {
+        id: 'summary',
+        type: 'pulse',
+        a11y: {
+          active: this.params.dictionary.get('a11y.buttonSummary'),
+        },
+        classes: [
+          'h5p-story-map-button',
+          'h5p-story-map-button-summary',
+        ],
+      },
+      {
+        onClick: () => {
+          this.callbacks.onClickButtonSummary();
+        },
+      },
+    );
+    buttons.summary.hide();
+    buttonsContainerActions.append(buttons.summary.getDOM());
+
+    if (this.params.userCanAddPins) {
+      buttons.addPin = new Button(
+        {
+          id: 'add-pin',
+          type: 'pulse',
+          a11y: {
+            active: this.params.dictionary.get('a11y.buttonAddPin'),
+          },
+          classes: [
+            'h5p-story-map-button',
+            'h5p-story-map-button-add-pin',
+          ],
+        },
+        {
+          onClick: () => {
+            this.callbacks.onClickButtonAddPin();
+          },
+        },
+      );
+
+      buttonsContainerActions.append(buttons.addPin.getDOM());
+    }
+
+    if (this.params.userCanSearchMap) {
+      buttons.searchHere = new Button(
+        {
+          id: 'search-here',
+          type: 'pulse',
+          a11y: {
+            active: this.params.dictionary.get('a11y.buttonSearchHere'),
+          },
+          classes: [
+            'h5p-story-map-button',
+            'h5p-story-map-button-search-here',
+          ],
+        },
+        {
+          onClick: () => {
+            this.callbacks.onClickButtonSearchHere();
+          },
+        },
+      );
+
+      buttonsContainerActions.append(buttons.searchHere.getDOM());
+    }
+
+    if (this.params.hasJournal) {
+      buttons.journal = new Button(
+        {
+          id: 'journal',
+          type: 'pulse',
+          a11y: {
+            active: this.params.dictionary.get('a11y.buttonJournal'),
+          },
+          classes: [
+            'h5p-story-map-button',
+            'h5p-story-map-button-journal',
+          ],
+        },
+        {
+          onClick: () => {
+            this.callbacks.onClickButtonJournal();
+          },
+        },
+      );
+
+      buttonsContainerActions.append(buttons.journal.getDOM());
+    }
+
+    if (this.params.userCanExportJourney) {
+      buttons.exportJourney = new Button(
+        {
+          id: 'export-journey',
+          type: 'pulse',
+          a11y: {
+            active: this.params.dictionary.get('a11y.buttonExportJourney'),
+          },
+          classes: [
+            'h5p-story-map-button',
+            'h5p-story-map-button-export-journey',
+          ],
+        },
+        {
+          onClick: () => {
+            this.callbacks.onClickButtonExportJourney();
+          },
+        },
+      );
+
+      buttonsContainerActions.append(buttons.exportJourney.getDOM());
+    }
+
     if (this.params.userCanUseMiniMap) {
       buttons.minimap = new Button(
         {
@@ -307,7 +439,7 @@ export default class NavigationBar {
     }
     else if (event.code === 'End') {
       this.moveButtonFocus(
-        Object.keys(this.buttons).length - 1 - this.currentButtonIndex,
+        this.getVisibleButtons().length - 1 - this.currentButtonIndex,
       );
     }
     else {
@@ -326,20 +458,40 @@ export default class NavigationBar {
       return;
     }
 
+    const visibleButtons = this.getVisibleButtons();
+
     if (
       this.currentButtonIndex + offset < 0 ||
-      this.currentButtonIndex + offset > Object.keys(this.buttons).length - 1
+      this.currentButtonIndex + offset > visibleButtons.length - 1
     ) {
       return; // Don't cycle
     }
 
-    Object.values(this.buttons)[this.currentButtonIndex].setAttribute('tabindex', '-1');
+    visibleButtons[this.currentButtonIndex].setAttribute('tabindex', '-1');
     this.currentButtonIndex = this.currentButtonIndex + offset;
-    const focusButton = Object.values(this.buttons)[this.currentButtonIndex];
+    const focusButton = visibleButtons[this.currentButtonIndex];
     focusButton.setAttribute('tabindex', '0');
     focusButton.focus();
   }
 
+  /**
+   * Get buttons that are visible.
+   * @returns {Button[]} Visible buttons.
+   */
+  getVisibleButtons() {
+    return Object.values(this.buttons).filter((button) => button.isVisible());
+  }
+
+  /**
+   * Reset roving tabindex to first visible button.
+   */
+  resetButtonFocus() {
+    this.getVisibleButtons().forEach((button, index) => {
+      button.setAttribute('tabindex', index === 0 ? '0' : '-1');
+    });
+    this.currentButtonIndex = 0;
+  }
+
   /**
    * Enable button.
    * @param {string} id Button id.
@@ -369,11 +521,13 @@ export default class NavigationBar {
    * @param {string} id Button id.
    */
   showButton(id = '') {
-    if (!this.buttons[id]) {
-      return; // Button not available
+    if (!this.buttons[id] || this.buttons[id].isVisible()) {
+      return; // Button not available or already visible
     }
 
+    this.buttons[id].setAttribute('tabindex', '-1');
     this.buttons[id].show();
+    this.resetButtonFocus();
   }
 
   /**
@@ -381,11 +535,12 @@ export default class NavigationBar {
    * @param {string} id Button id.
    */
   hideButton(id = '') {
-    if (!this.buttons[id]) {
-      return; // Button not available
+    if (!this.buttons[id] || !this.buttons[id].isVisible()) {
+      return; // Button not available or already hidden
     }
 
     this.buttons[id].hide();
+    this.resetButtonFocus();
   }
 
   /**
@@ -412,6 +567,10 @@ export default class NavigationBar {
    * @param {object} [params] Parameters to update the navigation bar.
    * @param {boolean} [params.left] If true, enable the left button, else disable it.
    * @param {boolean} [params.right] If true, enable the right button, else disable it.
+   * @param {number} [params.now] Current value of the progress indicator.
+   * @param {number} [params.max] Maximum value of the progress indicator.
+   * @param {string} [params.text] Text of the progress indicator.
+   * @param {string} [params.valueText] Text describing the progress for assistive technologies.
    */
   update(params = {}) {
     if (typeof params.left === 'boolean') {
@@ -433,7 +592,7 @@ export default class NavigationBar {
     }
 
     this.progressIndicator.update({
-      now: params.now, min: params.min, max: params.max, text: params.text,
+      now: params.now, min: params.min, max: params.max, text: params.text, valueText: params.valueText,
     });
   }
 
@@ -451,6 +610,7 @@ export default class NavigationBar {
   reset() {
     this.update({ text: '' });
     this.toggleProgressTextMode(true);
+    this.hideButton('summary');
   }
 
   /**
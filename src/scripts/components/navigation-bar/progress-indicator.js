@@ -67,8 +67,9 @@ export default class ProgressIndicator {
    * @param {number} [param.max] Maximum value.
    * @param {number} [param.now] Current value.
    * @param {string} [param.text] Text to show instead of numbers.
+   * @param {string} [param.valueText] Text for assistive technologies that describes the current value.
    */
-  update({ min, max, now, text }) {
+  update({ min, max, now, text, valueText }) {
     if (typeof min === 'number' && min > this.min) {
       this.min = min;
       this.dom.setAttribute('aria-valuemin', min);
@@ -89,6 +90,12 @@ export default class ProgressIndicator {
     if (typeof text === 'string') {
       this.progressText.innerText = text;
     }
+
+    if (typeof valueText === 'string') {
+      this.valueText = valueText;
+    }
+
+    this.updateValueText();
   }
 
   /**
@@ -100,13 +107,45 @@ export default class ProgressIndicator {
       return;
     }
 
-    this.progressNow.classList.toggle('display-none', on);
-    this.progressSeparator.classList.toggle('display-none', on);
-    this.progressMax.classList.toggle('display-none', on);
-    this.progressText.classList.toggle('display-none', !on);
+    this.isTextMode = on;
+    this.updateVisibility();
+    this.updateValueText();
+  }
+
+  /**
+   * Toggle showing numbers next to the text in text mode.
+   * @param {boolean} on True to show numbers next to the text, false to show text only.
+   */
+  toggleNumbersWithText(on) {
+    if (typeof on !== 'boolean') {
+      return;
+    }
+
+    this.showNumbersWithText = on;
+    this.dom.classList.toggle('numbers-with-text', on);
+    this.updateVisibility();
+  }
+
+  /**
+   * Update visibility of numbers and text.
+   */
+  updateVisibility() {
+    const showNumbers = !this.isTextMode || this.showNumbersWithText;
+
+    this.progressNow.classList.toggle('display-none', !showNumbers);
+    this.progressSeparator.classList.toggle('display-none', !showNumbers);
+    this.progressMax.classList.toggle('display-none', !showNumbers);
+    this.progressText.classList.toggle('display-none', !this.isTextMode);
+  }
+
+  /**
+   * Update text for assistive technologies that describes the current value.
+   */
+  updateValueText() {
+    const valueText = this.valueText || (this.isTextMode ? this.progressText.innerText : '');
 
-    if (on) {
-      this.dom.setAttribute('aria-valuetext', this.progressText.innerText);
+    if (valueText) {
+      this.dom.setAttribute('aria-valuetext', valueText);
     }
     else {
       this.dom.removeAttribute('aria-valuetext');
@@ -0,0 +1,145 @@
+import { extend } from '@services/util.js';
+import './on-site-status.scss';
+
+/** @constant {string[]} COMPASS_DIRECTION_KEYS Dictionary keys of compass directions, clockwise from north. */
+const COMPASS_DIRECTION_KEYS = [
+  'l10n.directionNorth',
+  'l10n.directionNorthEast',
+  'l10n.directionEast',
+  'l10n.directionSouthEast',
+  'l10n.directionSouth',
+  'l10n.directionSouthWest',
+  'l10n.directionWest',
+  'l10n.directionNorthWest',
+];
+
+/** @constant {number} FULL_CIRCLE_DEGREES Degrees of a full circle. */
+const FULL_CIRCLE_DEGREES = 360;
+
+/**
+ * Status panel for the on-site mode that guides the user to the next waypoint.
+ */
+export default class OnSiteStatus {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onRetry] Callback when user wants to retry locating.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({}, params);
+
+    this.callbacks = extend({
+      onRetry: () => {},
+    }, callbacks);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-on-site-status');
+
+    this.arrow = document.createElement('span');
+    this.arrow.classList.add('h5p-story-map-on-site-status-arrow');
+    this.arrow.setAttribute('aria-hidden', 'true');
+    this.dom.append(this.arrow);
+
+    this.message = document.createElement('p');
+    this.message.classList.add('h5p-story-map-on-site-status-message');
+    this.dom.append(this.message);
+
+    this.retryButton = document.createElement('button');
+    this.retryButton.classList.add('h5p-story-map-on-site-status-retry');
+    this.retryButton.innerText = this.params.dictionary.get('l10n.retryLocating');
+    this.retryButton.addEventListener('click', () => {
+      this.callbacks.onRetry();
+    });
+    this.dom.append(this.retryButton);
+
+    this.setLocating();
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Status DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Show that the position is being determined.
+   */
+  setLocating() {
+    this.setMessage(this.params.dictionary.get('l10n.locating'));
+  }
+
+  /**
+   * Show distance and direction to the next waypoint.
+   * @param {object} [nextStop] Next waypoint or undefined if there is none.
+   * @param {string} nextStop.title Title of next waypoint.
+   * @param {string} nextStop.distance Formatted distance to next waypoint.
+   * @param {number} nextStop.bearing Bearing to next waypoint in degrees.
+   * @param {boolean} nextStop.isReached True, if user is close enough to unlock it.
+   */
+  setNextStop(nextStop) {
+    if (!nextStop) {
+      this.setMessage(this.params.dictionary.get('l10n.noNextStop'));
+      return;
+    }
+
+    if (nextStop.isReached) {
+      this.setMessage(this.params.dictionary.get('l10n.nextStopReached').replace('@title', nextStop.title));
+      return;
+    }
+
+    this.setMessage(
+      this.params.dictionary.get('l10n.nextStopDirections')
+        .replace('@title', nextStop.title)
+        .replace('@distance', nextStop.distance)
+        .replace('@direction', this.getCompassDirection(nextStop.bearing)),
+      { bearing: nextStop.bearing },
+    );
+  }
+
+  /**
+   * Show that the position cannot be determined.
+   * @param {string} message Message explaining the problem.
+   * @param {object} [options] Options.
+   * @param {boolean} [options.canRetry] If true, offer to retry.
+   */
+  setError(message, options = {}) {
+    this.setMessage(message, { isError: true, canRetry: options.canRetry });
+  }
+
+  /**
+   * Set message.
+   * @param {string} text Message text.
+   * @param {object} [options] Options.
+   * @param {number} [options.bearing] Bearing in degrees to point the arrow to. Hides arrow if not set.
+   * @param {boolean} [options.isError] If true, style message as error.
+   * @param {boolean} [options.canRetry] If true, show retry button.
+   */
+  setMessage(text, options = {}) {
+    this.message.innerText = text;
+
+    const hasBearing = typeof options.bearing === 'number';
+    this.arrow.classList.toggle('display-none', !hasBearing);
+    if (hasBearing) {
+      this.arrow.style.setProperty('--bearing', `${options.bearing}deg`);
+    }
+
+    this.dom.classList.toggle('error', !!options.isError);
+    this.retryButton.classList.toggle('display-none', !options.canRetry);
+  }
+
+  /**
+   * Get name of compass direction for a bearing.
+   * @param {number} bearing Bearing in degrees clockwise from north.
+   * @returns {string} Name of compass direction.
+   */
+  getCompassDirection(bearing) {
+    const sectorDegrees = FULL_CIRCLE_DEGREES / COMPASS_DIRECTION_KEYS.length;
+    const sector = Math.round(bearing / sectorDegrees) % COMPASS_DIRECTION_KEYS.length;
+
+    return this.params.dictionary.get(COMPASS_DIRECTION_KEYS[sector]);
+  }
+}
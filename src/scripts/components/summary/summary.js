@@ -0,0 +1,166 @@
+import { extend, formatDuration } from '@services/util.js';
+import './summary.scss';
+
+export default class Summary {
+  /**
+   * @class
+   * @param {object} params Parameters.
+   * @param {object} params.dictionary Dictionary service.
+   * @param {object[]} params.waypoints Waypoint results ({ title, visited, score, maxScore, timeSpent, hidden }).
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onRevisit] Callback when user wants to revisit a waypoint, receives index.
+   */
+  constructor(params = {}, callbacks = {}) {
+    this.params = extend({
+      waypoints: [],
+    }, params);
+
+    this.callbacks = extend({
+      onRevisit: () => {},
+    }, callbacks);
+
+    this.dom = document.createElement('div');
+    this.dom.classList.add('h5p-story-map-summary');
+
+    const table = document.createElement('table');
+    table.classList.add('h5p-story-map-summary-table');
+    this.dom.append(table);
+
+    table.append(this.buildHead());
+
+    const body = document.createElement('tbody');
+    this.params.waypoints.forEach((waypoint, index) => {
+      body.append(this.buildRow(waypoint, index));
+    });
+    table.append(body);
+
+    table.append(this.buildFoot());
+  }
+
+  /**
+   * Get DOM.
+   * @returns {HTMLElement} Summary DOM.
+   */
+  getDOM() {
+    return this.dom;
+  }
+
+  /**
+   * Build table head.
+   * @returns {HTMLElement} Table head.
+   */
+  buildHead() {
+    const head = document.createElement('thead');
+    const row = document.createElement('tr');
+    head.append(row);
+
+    ['l10n.waypoint', 'l10n.visited', 'l10n.score', 'l10n.timeSpent', 'l10n.actions'].forEach((key) => {
+      const cell = document.createElement('th');
+      cell.setAttribute('scope', 'col');
+      cell.innerText = this.params.dictionary.get(key);
+      row.append(cell);
+    });
+
+    return head;
+  }
+
+  /**
+   * Build table row for a waypoint.
+   * @param {object} waypoint Waypoint results.
+   * @param {number} index Index of waypoint.
+   * @returns {HTMLElement} Table row.
+   */
+  buildRow(waypoint, index) {
+    const row = document.createElement('tr');
+    row.classList.toggle('visited', waypoint.visited);
+    row.classList.toggle('hidden-waypoint', !!waypoint.hidden);
+
+    // Titles of waypoints that were not discovered yet would give them away
+    const title = document.createElement('th');
+    title.setAttribute('scope', 'row');
+    title.innerText = waypoint.hidden ? this.params.dictionary.get('l10n.undiscoveredWaypoint') : waypoint.title;
+    row.append(title);
+
+    const visited = document.createElement('td');
+    visited.classList.add('h5p-story-map-summary-visited');
+    visited.innerText = this.params.dictionary.get(waypoint.visited ? 'l10n.yes' : 'l10n.no');
+    row.append(visited);
+
+    row.append(this.buildScoreCell(waypoint.score, waypoint.maxScore));
+
+    const timeSpent = document.createElement('td');
+    timeSpent.innerText = formatDuration(waypoint.timeSpent);
+    row.append(timeSpent);
+
+    const actions = document.createElement('td');
+    row.append(actions);
+
+    if (waypoint.hidden) {
+      return row; // Cannot be opened
+    }
+
+    const revisitButton = document.createElement('button');
+    revisitButton.classList.add('h5p-story-map-summary-revisit');
+    revisitButton.innerText = this.params.dictionary.get('l10n.revisit');
+    revisitButton.setAttribute(
+      'aria-label', this.params.dictionary.get('a11y.revisitWaypoint').replace('@title', waypoint.title),
+    );
+    revisitButton.addEventListener('click', () => {
+      this.callbacks.onRevisit(index);
+    });
+    actions.append(revisitButton);
+
+    return row;
+  }
+
+  /**
+   * Build table foot with totals.
+   * @returns {HTMLElement} Table foot.
+   */
+  buildFoot() {
+    const foot = document.createElement('tfoot');
+    const row = document.createElement('tr');
+    foot.append(row);
+
+    const title = document.createElement('th');
+    title.setAttribute('scope', 'row');
+    title.innerText = this.params.dictionary.get('l10n.total');
+    row.append(title);
+
+    const numberVisited = this.params.waypoints.filter((waypoint) => waypoint.visited).length;
+    const visited = document.createElement('td');
+    visited.innerText = `${numberVisited} / ${this.params.waypoints.length}`;
+    row.append(visited);
+
+    const totals = this.params.waypoints.reduce((sums, waypoint) => {
+      return {
+        score: sums.score + waypoint.score,
+        maxScore: sums.maxScore + waypoint.maxScore,
+        timeSpent: sums.timeSpent + waypoint.timeSpent,
+      };
+    }, { score: 0, maxScore: 0, timeSpent: 0 });
+
+    row.append(this.buildScoreCell(totals.score, totals.maxScore));
+
+    const timeSpent = document.createElement('td');
+    timeSpent.innerText = formatDuration(totals.timeSpent);
+    row.append(timeSpent);
+
+    row.append(document.createElement('td'));
+
+    return foot;
+  }
+
+  /**
+   * Build table cell for score.
+   * @param {number} score Score.
+   * @param {number} maxScore Maximum score.
+   * @returns {HTMLElement} Table cell.
+   */
+  buildScoreCell(score, maxScore) {
+    const cell = document.createElement('td');
+    cell.innerText = maxScore > 0 ? `${score} / ${maxScore}` : '-';
+
+    return cell;
+  }
+}
@@ -1,7 +1,14 @@
+import DOMPurify from 'dompurify';
 import Dictionary from '@services/dictionary.js';
 import { isEditor, getSemanticsDefaults } from '@services/h5p-util.js';
 import { addMixins, extend, formatLanguageCode } from '@services/util.js';
+import Diagnostics from '@components/diagnostics/diagnostics.js';
 import Main from '@components/main.js';
+import { getMapTaskProblems } from '@components/map-tasks/map-tasks.js';
+import { getWaypointsFromGeoJSON, loadWaypointsFromGeoJSONFile } from '@services/geojson-waypoints.js';
+import { loadKMLFile } from '@services/kml-import.js';
+import { loadStoryMapJSFile } from '@services/storymapjs-import.js';
+import { PROBLEM_NO_WAYPOINTS } from '@services/waypoint-source.js';
 import QuestionTypeContract from '@mixins/question-type-contract.js';
 import XAPI from '@mixins/xapi.js';
 
@@ -10,6 +17,18 @@ import '@styles/h5p-story-map.scss';
 /** @constant {number} FULL_SCREEN_DELAY Time some browsers need to go to full screen. */
 const FULL_SCREEN_DELAY = 300;
 
+/** @constant {string} WAYPOINT_SOURCE_GEOJSON_TEXT Waypoints are read from GeoJSON text. */
+const WAYPOINT_SOURCE_GEOJSON_TEXT = 'geoJSONText';
+
+/** @constant {string} WAYPOINT_SOURCE_GEOJSON_FILE Waypoints are read from an uploaded GeoJSON file. */
+const WAYPOINT_SOURCE_GEOJSON_FILE = 'geoJSONFile';
+
+/** @constant {string} WAYPOINT_SOURCE_KML_FILE Waypoints and overlays are read from an uploaded KML or KMZ file. */
+const WAYPOINT_SOURCE_KML_FILE = 'kmlFile';
+
+/** @constant {string} WAYPOINT_SOURCE_STORYMAPJS_FILE Waypoints and introduction are read from a StoryMapJS file. */
+const WAYPOINT_SOURCE_STORYMAPJS_FILE = 'storyMapJSFile';
+
 export default class StoryMap extends H5P.EventDispatcher {
   /**
    * @class
@@ -50,14 +69,113 @@ export default class StoryMap extends H5P.EventDispatcher {
     this.dom = document.createElement('div');
     this.dom.classList.add('h5p-story-map');
 
+    if (isFullscreenSupported) {
+      this.setupFullscreenHandlers();
+    }
+
+    const waypointSource = this.params.waypointSource;
+    let waypointsLoaded;
+    if (waypointSource.source === WAYPOINT_SOURCE_GEOJSON_FILE) {
+      waypointsLoaded = loadWaypointsFromGeoJSONFile(
+        H5P.getPath(waypointSource.geoJSONFile?.path ?? '', this.contentId), waypointSource.propertyMapping,
+      );
+    }
+    else if (waypointSource.source === WAYPOINT_SOURCE_KML_FILE) {
+      waypointsLoaded = loadKMLFile(H5P.getPath(waypointSource.kmlFile?.path ?? '', this.contentId));
+    }
+    else if (waypointSource.source === WAYPOINT_SOURCE_STORYMAPJS_FILE) {
+      waypointsLoaded = loadStoryMapJSFile(
+        H5P.getPath(waypointSource.storyMapJSFile?.path ?? '', this.contentId),
+        { sanitizeHTML: (html) => DOMPurify.sanitize(html) },
+      );
+    }
+    else if (waypointSource.source === WAYPOINT_SOURCE_GEOJSON_TEXT) {
+      this.buildMain(getWaypointsFromGeoJSON(waypointSource.geoJSON, waypointSource.propertyMapping));
+    }
+    else {
+      this.buildMain({ waypoints: this.params.editor.waypoints });
+    }
+
+    // Main can only be built once the waypoints of files are known
+    waypointsLoaded
+      ?.then((result) => {
+        this.buildMain(result);
+      })
+      .catch((error) => {
+        console.warn('Story Map: Could not build the story map from the waypoint source.', error);
+        if (!this.main) {
+          this.buildMain({ waypoints: [], problems: [{ type: PROBLEM_NO_WAYPOINTS }] });
+        }
+      })
+      .finally(() => {
+        this.trigger('resize');
+      });
+  }
+
+  /**
+   * Build main component with the waypoints and show problems with the waypoint source or tasks to the author.
+   * @param {object} waypointSource Waypoint source.
+   * @param {object[]} waypointSource.waypoints Waypoint parameters.
+   * @param {object[]} [waypointSource.overlays] Overlays that are not waypoints, e.g. areas.
+   * @param {object} [waypointSource.intro] Introduction, used if the author did not set one.
+   * @param {string} [waypointSource.mapStyle] Map style, used if the author did not change the default.
+   * @param {number} [waypointSource.zoomLevelDefault] Default zoom level, used if the author did not change it.
+   * @param {object[]} [waypointSource.problems] Problems with the waypoint source ({ type: string, number?: number }).
+   */
+  buildMain(waypointSource = {}) {
+    // Learners can't fix the source, the console warnings suffice for them
+    if (isEditor() && waypointSource.problems?.length) {
+      const diagnostics = new Diagnostics({ dictionary: this.dictionary, problems: waypointSource.problems });
+      this.dom.append(diagnostics.getDOM());
+    }
+
+    const taskProblems = isEditor() ? getMapTaskProblems(waypointSource.waypoints) : [];
+    if (taskProblems.length) {
+      const diagnostics = new Diagnostics({
+        dictionary: this.dictionary,
+        headline: this.dictionary.get('l10n.taskProblems'),
+        problems: taskProblems,
+      });
+      this.dom.append(diagnostics.getDOM());
+    }
+
+    const intro = (!this.params.intro.showIntro && waypointSource.intro) ?
+      { ...this.params.intro, ...waypointSource.intro } :
+      this.params.intro;
+
+    // The editor stores default values, so only values that differ from them were set by the author
+    const defaults = getSemanticsDefaults();
+
+    const visual = (waypointSource.mapStyle && this.params.visual.mapStyle === defaults.visual.mapStyle) ?
+      { ...this.params.visual, mapStyle: waypointSource.mapStyle } :
+      this.params.visual;
+
+    const zoomLevelDefault = (
+      typeof waypointSource.zoomLevelDefault === 'number' &&
+      this.params.editor.zoomLevelDefault === defaults.editor.zoomLevelDefault
+    ) ?
+      waypointSource.zoomLevelDefault :
+      this.params.editor.zoomLevelDefault;
+
     this.main = new Main(
       {
         behaviour: this.params.behaviour,
         dictionary: this.dictionary,
         globals: this.globals,
-        map: this.params.editor,
-        visual: this.params.visual,
-        previousState: this.extras.previousState ?? {},
+        intro: extend({}, intro, {
+          title: intro.title || this.extras.metadata?.title || '',
+        }),
+        map: {
+          ...this.params.editor,
+          waypoints: waypointSource.waypoints,
+          overlays: waypointSource.overlays ?? [],
+          zoomLevelDefault: zoomLevelDefault,
+        },
+        track: this.params.track,
+        visual: visual,
+        previousState: this.extras.previousState?.content ?? {},
+        // Allows to replace navigator.geolocation, e.g. with a mock for testing
+        geolocationProvider: this.extras.geolocationProvider,
       },
       {
         onRequestFullScreen: () => {
@@ -66,17 +184,16 @@ export default class StoryMap extends H5P.EventDispatcher {
         onCompleted: () => {
           this.handleUserCompleted();
         },
-        onProgressed: (waypointIndex) => {
-          this.handleUserProgress(waypointIndex);
+        onProgressed: (waypointIndex, route) => {
+          this.handleUserProgress(waypointIndex, route);
+        },
+        onPinCommented: (pin) => {
+          this.handlePinCommented(pin);
         },
       },
     );
     this.dom.appendChild(this.main.getDOM());
 
-    if (isFullscreenSupported) {
-      this.setupFullscreenHandlers();
-    }
-
     this.setCurrentState(this.extras.previousState);
   }
 
@@ -94,19 +211,19 @@ export default class StoryMap extends H5P.EventDispatcher {
   setupFullscreenHandlers() {
     this.on('enterFullScreen', () => {
       window.setTimeout(() => {
-        this.main.setFullscreen(true);
+        this.main?.setFullscreen(true);
       }, FULL_SCREEN_DELAY);
     });
 
     this.on('exitFullScreen', () => {
-      this.main.setFullscreen(false);
+      this.main?.setFullscreen(false);
     });
 
     const recomputeDimensions = () => {
       if (H5P.isFullscreen) {
         window.clearTimeout(this.recomputeDimensionsTimeout);
         this.recomputeDimensionsTimeout = window.setTimeout(() => { // Needs time to rotate for window.innerHeight
-          this.main.setFullscreen(H5P.isFullscreen);
+          this.main?.setFullscreen(H5P.isFullscreen);
         }, FULL_SCREEN_DELAY);
       }
     };
@@ -140,7 +257,7 @@ export default class StoryMap extends H5P.EventDispatcher {
     $wrapper.get(0).append(this.dom);
 
     this.on('resize', () => {
-      this.main.resize();
+      this.main?.resize();
     });
   }
 
@@ -158,8 +275,9 @@ export default class StoryMap extends H5P.EventDispatcher {
   /**
    * Handle user progress and trigger xAPI event.
    * @param {number} waypointIndex Index of waypoint user progressed to.
+   * @param {string[]} [route] Ids of waypoints in the order the user visited them.
    */
-  handleUserProgress(waypointIndex) {
+  handleUserProgress(waypointIndex, route = []) {
     if (window.H5PEditor) {
       return; // Don't send xAPI events when in editor.
     }
@@ -167,6 +285,25 @@ export default class StoryMap extends H5P.EventDispatcher {
     const xAPIEvent = this.createXAPIEvent('progressed');
     xAPIEvent.data.statement.object.definition
       .extensions['http://id.tincanapi.com/extension/ending-point'] = waypointIndex + 1;
+
+    // Route that the user chose, using the xAPI delimiter for sequences
+    xAPIEvent.data.statement.result = { response: route.join('[,]') };
+
+    this.trigger(xAPIEvent);
+  }
+
+  /**
+   * Handle user adding a note to a pin and trigger xAPI event.
+   * @param {object} pin Pin ({ id: string, latitude: number, longitude: number, title: string, note: string }).
+   */
+  handlePinCommented(pin = {}) {
+    if (isEditor()) {
+      return; // Don't send xAPI events when in editor.
+    }
+
+    const xAPIEvent = this.createXAPIEvent('commented');
+    xAPIEvent.data.statement.result = { response: pin.note };
+
     this.trigger(xAPIEvent);
   }
 
@@ -200,6 +337,6 @@ export default class StoryMap extends H5P.EventDispatcher {
    * @param {object} state State to set, must match return value from getCurrentState.
    */
   setCurrentState(state = {}) {
-    this.main.setCurrentState(state);
+    this.main?.setCurrentState(state?.content);
   }
 }
@@ -8,7 +8,7 @@ export default class QuestionTypeContract {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-1}
    */
   getAnswerGiven() {
-    return this.main.getAnswerGiven();
+    return this.main?.getAnswerGiven() ?? false;
   }
 
   /**
@@ -17,7 +17,7 @@ export default class QuestionTypeContract {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-2}
    */
   getScore() {
-    return this.main.getScore();
+    return this.main?.getScore() ?? 0;
   }
 
   /**
@@ -26,6 +26,10 @@ export default class QuestionTypeContract {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-3}
    */
   getMaxScore() {
+    if (!this.main) {
+      return 0; // Waypoints may still be loading
+    }
+
     this.maxScore = this.maxScore ?? this.main.getMaxScore();
 
     return this.maxScore;
@@ -36,7 +40,7 @@ export default class QuestionTypeContract {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-4}
    */
   showSolutions() {
-    this.main.showSolutions();
+    this.main?.showSolutions();
   }
 
   /**
@@ -44,7 +48,7 @@ export default class QuestionTypeContract {
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-5}
    */
   resetTask() {
-    this.main.reset();
+    this.main?.reset();
   }
 
   /**
@@ -60,21 +64,21 @@ export default class QuestionTypeContract {
 
     return {
       statement: xAPIEvent.data.statement,
-      children: this.main.getXAPIData(),
+      children: this.main?.getXAPIData() ?? [],
     };
   }
 
   /**
    * Get current state.
-   * @returns {object} Current state to be retrieved later.
+   * @returns {object|undefined} Current state to be retrieved later or undefined if nothing should be stored.
    * @see contract at {@link https://h5p.org/documentation/developers/contracts#guides-header-7}
    */
   getCurrentState() {
     if (!this.main) {
-      return {};
+      return undefined; // Waypoints are still loading, the previous state must not be overwritten
     }
 
-    if (!this.getAnswerGiven()) {
+    if (!this.main.hasStateToSave()) {
       // Nothing relevant to store, but previous state in DB must be cleared after reset
       return this.contentWasReset ? {} : undefined;
     }
@@ -91,7 +95,7 @@ export default class QuestionTypeContract {
   getContext() {
     return {
       type: 'waypoint',
-      value: this.main.getCurrentOpenWaypointContentIndex(),
+      value: this.main?.getCurrentOpenWaypointContentIndex() ?? -1,
     };
   }
 }
@@ -28,6 +28,10 @@ export default class XAPI {
       xAPIEvent.getVerifiedStatementValue(['object', 'definition']),
       this.getXAPIDefinition());
 
+    if (verb !== 'completed' && verb !== 'answered') {
+      return xAPIEvent; // Computing scores may instantiate contents that have not been opened yet
+    }
+
     let score = this.getScore();
     let maxScore = this.getMaxScore();
 
@@ -36,9 +40,10 @@ export default class XAPI {
       maxScore = 1;
     }
 
-    if (verb === 'completed' || verb === 'answered') {
-      xAPIEvent.setScoredResult(score, maxScore, this, true, score >= maxScore);
-    }
+    const completion = this.main?.isCompletionCriteriaMet() ?? true;
+    const success = this.main?.isPassed() ?? score >= maxScore;
+
+    xAPIEvent.setScoredResult(score, maxScore, this, completion, success);
 
     return xAPIEvent;
   }
@@ -6,6 +6,7 @@ export default class Waypoint {
    * @class
    * @param {object} params Parameters.
    * @param {object} [params.waypointParams] Waypoint parameters.
+   * @param {object} [params.previousState] Previous state of the waypoint.
    * @param {object} callbacks Callbacks.
    */
   constructor(params = {}, callbacks = {}) {
@@ -29,7 +30,13 @@ export default class Waypoint {
     this.contentBundle = new ContentBundle(
       {
         globals: this.params.globals,
+        dictionary: this.params.dictionary,
+        waypointId: this.params.waypointParams.id,
+        waypointTitle: this.params.waypointParams.title,
         contents: this.params.waypointParams.contents || [],
+        journalPrompt: this.params.waypointParams.journalPrompt,
+        previousState: this.params.previousState?.contentBundle,
+        resumeMediaOnReturn: this.params.resumeMediaOnReturn,
       },
       {
         onTaskCompleted: () => {
@@ -65,6 +72,69 @@ export default class Waypoint {
     return this.params.waypointParams.title;
   }
 
+  /**
+   * Get the branches leading away from the waypoint.
+   * @returns {object[]} Branches ({ label: string, target: string, minScorePercentage: number }).
+   */
+  getBranches() {
+    return this.params.waypointParams.branches ?? [];
+  }
+
+  /**
+   * Determine whether the waypoint is the end of a route.
+   * @returns {boolean} True, if no path leads onward from the waypoint.
+   */
+  isEndOfRoute() {
+    return this.params.waypointParams.endOfRoute ?? false;
+  }
+
+  /**
+   * Get the coordinates of the waypoint.
+   * @returns {object} Coordinates ({ latitude: number, longitude: number }).
+   */
+  getCoordinates() {
+    const latLng = this.params.marker.getLatLng();
+    return { latitude: latLng.lat, longitude: latLng.lng };
+  }
+
+  /**
+   * Get the radius around the waypoint that the user needs to be in to unlock it on site.
+   * @returns {number|undefined} Radius in meters or undefined if not set for this waypoint.
+   */
+  getUnlockRadius() {
+    return this.params.waypointParams.unlockRadius;
+  }
+
+  /**
+   * Get the access code that unlocks the waypoint.
+   * @returns {string|null} Access code in lower case or null if no code is required.
+   */
+  getAccessCode() {
+    const code = (this.params.waypointParams.accessCode ?? '').trim().toLowerCase();
+    return code || null;
+  }
+
+  /**
+   * Get how the waypoint is revealed in treasure hunts.
+   * @returns {object} Settings ({ mode: string, zoomLevel: number, radius: number, minScorePercentage: number }).
+   */
+  getRevealSettings() {
+    return {
+      mode: this.params.waypointParams.revealMode ?? 'visible',
+      zoomLevel: this.params.waypointParams.revealZoomLevel,
+      radius: this.params.waypointParams.revealRadius,
+      minScorePercentage: this.params.waypointParams.revealMinScorePercentage,
+    };
+  }
+
+  /**
+   * Get the radius around the waypoint that is uncovered from the fog once visited.
+   * @returns {number|undefined} Radius in meters or undefined if not set for this waypoint.
+   */
+  getFogRadius() {
+    return this.params.waypointParams.fogRadius;
+  }
+
   /**
    * Get the leaflet marker.
    * @returns {object} The leaflet marker.
@@ -81,6 +151,122 @@ export default class Waypoint {
     const markerElement = this.params.marker.getElement();
     markerElement.classList.toggle('open', open);
     this.markerIsOpen = open;
+
+    this.contentBundle.setMapActive(open);
+  }
+
+  /**
+   * Set the locked state.
+   * @param {boolean} [locked] Whether the waypoint should be locked.
+   */
+  setLocked(locked = false) {
+    this.locked = locked;
+
+    const markerElement = this.params.marker.getElement();
+    markerElement.classList.toggle('locked', locked);
+    markerElement.setAttribute('aria-disabled', locked ? 'true' : 'false');
+
+    this.updateMarkerLabel();
+  }
+
+  /**
+   * Set the visited state.
+   * @param {boolean} [visited] Whether the waypoint was visited.
+   */
+  setVisited(visited = false) {
+    this.visited = visited;
+
+    this.params.marker.getElement().classList.toggle('visited', visited);
+    this.updateMarkerLabel();
+  }
+
+  /**
+   * Check if the waypoint was visited.
+   * @returns {boolean} True if the waypoint was visited, false otherwise.
+   */
+  isVisited() {
+    return this.visited ?? false;
+  }
+
+  /**
+   * Set the hidden state, e.g. for waypoints that need to be discovered first.
+   * @param {boolean} [hidden] Whether the waypoint should be hidden.
+   * @param {object} [options] Options.
+   * @param {boolean} [options.animate] If true, animate revealing the marker.
+   */
+  setHidden(hidden = false, options = {}) {
+    const wasHidden = this.isHidden();
+    this.hidden = hidden;
+
+    const markerElement = this.params.marker.getElement();
+    markerElement.classList.toggle('hidden', hidden);
+
+    if (hidden) {
+      this.hideTooltip();
+    }
+    else if (wasHidden && options.animate) {
+      markerElement.classList.add('revealing');
+      markerElement.addEventListener('animationend', () => {
+        markerElement.classList.remove('revealing');
+      }, { once: true });
+    }
+  }
+
+  /**
+   * Check if the waypoint is hidden.
+   * @returns {boolean} True if the waypoint is hidden, false otherwise.
+   */
+  isHidden() {
+    return this.hidden ?? false;
+  }
+
+  /**
+   * Set label of marker that overrides the default label, e.g. for tasks.
+   * @param {string|null} label Label or null to use default label.
+   */
+  setMarkerLabel(label) {
+    this.markerLabel = label;
+    this.updateMarkerLabel();
+  }
+
+  /**
+   * Update label of marker.
+   */
+  updateMarkerLabel() {
+    let key = 'a11y.openContent';
+    if (this.isLocked()) {
+      key = 'a11y.lockedContent';
+    }
+    else if (this.isVisited()) {
+      key = 'a11y.openVisitedContent';
+    }
+
+    const defaultLabel = this.params.dictionary.get(key).replace('@title', this.getTitle());
+
+    this.params.marker.getElement().setAttribute('aria-label', this.markerLabel ?? defaultLabel);
+  }
+
+  /**
+   * Set number of marker in a sequence, e.g. chosen by the user.
+   * @param {number|null} number Number or null to remove number.
+   */
+  setSequenceNumber(number) {
+    const markerElement = this.params.marker.getElement();
+
+    if (typeof number === 'number') {
+      markerElement.setAttribute('data-sequence-number', number);
+    }
+    else {
+      markerElement.removeAttribute('data-sequence-number');
+    }
+  }
+
+  /**
+   * Check if the waypoint is locked.
+   * @returns {boolean} True if the waypoint is locked, false otherwise.
+   */
+  isLocked() {
+    return this.locked ?? false;
   }
 
   /**
@@ -112,6 +298,20 @@ export default class Waypoint {
     this.contentBundle.hide();
   }
 
+  /**
+   * Activate waypoint content.
+   */
+  activate() {
+    this.contentBundle.activate();
+  }
+
+  /**
+   * Deactivate waypoint content.
+   */
+  deactivate() {
+    this.contentBundle.deactivate();
+  }
+
   /**
    * Get content DOM.
    * @returns {HTMLElement} Content DOM.
@@ -132,4 +332,14 @@ export default class Waypoint {
     this.setOpen(false);
     this.contentBundle.reset();
   }
+
+  /**
+   * Get current state.
+   * @returns {object} Current state.
+   */
+  getCurrentState() {
+    return {
+      contentBundle: this.contentBundle.getCurrentState(),
+    };
+  }
 }
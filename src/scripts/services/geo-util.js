@@ -0,0 +1,249 @@
+/** @constant {number} EARTH_RADIUS_METERS Mean earth radius in meters. */
+const EARTH_RADIUS_METERS = 6371008.8;
+
+/** @constant {number} LATITUDE_MAX Maximum absolute latitude. */
+const LATITUDE_MAX = 90;
+
+/** @constant {number} DEGREES_HALF_CIRCLE Degrees of a half circle. */
+const DEGREES_HALF_CIRCLE = 180;
+
+/** @constant {number} METERS_PER_KILOMETER Meters per kilometer. */
+const METERS_PER_KILOMETER = 1000;
+
+/**
+ * Convert degrees to radians.
+ * @param {number} degrees Degrees.
+ * @returns {number} Radians.
+ */
+export const toRadians = (degrees) => {
+  return degrees * Math.PI / DEGREES_HALF_CIRCLE;
+};
+
+/**
+ * Get great-circle distance between two coordinates using the haversine formula.
+ * @param {object} from Coordinates ({ latitude: number, longitude: number }).
+ * @param {object} to Coordinates ({ latitude: number, longitude: number }).
+ * @returns {number} Distance in meters.
+ */
+export const getDistance = (from = {}, to = {}) => {
+  const deltaLatitude = toRadians(to.latitude - from.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+  const haversine = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(deltaLongitude / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(haversine)));
+};
+
+/**
+ * Format distance for humans.
+ * @param {number} meters Distance in meters.
+ * @param {string} [languageTag] Language tag for number formatting.
+ * @returns {string} Formatted distance, e.g. 850 m or 12.3 km.
+ */
+export const formatDistance = (meters = 0, languageTag) => {
+  if (meters < METERS_PER_KILOMETER) {
+    return `${Math.round(meters).toLocaleString(languageTag)} m`;
+  }
+
+  const kilometers = meters / METERS_PER_KILOMETER;
+  const formatted = kilometers.toLocaleString(languageTag, { maximumFractionDigits: 1 });
+
+  return `${formatted} km`;
+};
+
+/**
+ * Project coordinates onto a plane around a reference latitude (equirectangular).
+ * Precise enough for the distances between a point and a nearby line.
+ * @param {object} coordinates Coordinates ({ latitude: number, longitude: number }).
+ * @param {number} referenceLatitude Latitude that the projection is centered on.
+ * @returns {object} Point on plane in meters ({ x: number, y: number }).
+ */
+const projectToPlane = (coordinates, referenceLatitude) => {
+  return {
+    x: EARTH_RADIUS_METERS * toRadians(coordinates.longitude) * Math.cos(toRadians(referenceLatitude)),
+    y: EARTH_RADIUS_METERS * toRadians(coordinates.latitude),
+  };
+};
+
+/**
+ * Get distance between a point and a line segment on a plane.
+ * @param {object} point Point ({ x: number, y: number }).
+ * @param {object} start Start of segment ({ x: number, y: number }).
+ * @param {object} end End of segment ({ x: number, y: number }).
+ * @returns {number} Distance.
+ */
+const getDistanceToSegment = (point, start, end) => {
+  const segmentX = end.x - start.x;
+  const segmentY = end.y - start.y;
+  const lengthSquared = segmentX ** 2 + segmentY ** 2;
+
+  const position = lengthSquared === 0 ?
+    0 :
+    Math.max(0, Math.min(1, ((point.x - start.x) * segmentX + (point.y - start.y) * segmentY) / lengthSquared));
+
+  return Math.hypot(point.x - (start.x + position * segmentX), point.y - (start.y + position * segmentY));
+};
+
+/**
+ * Get shortest distance between a point and a polyline.
+ * @param {object} point Coordinates ({ latitude: number, longitude: number }).
+ * @param {object[]} polyline Coordinates of polyline.
+ * @returns {number} Distance in meters, Infinity if polyline is empty.
+ */
+export const getDistanceToPolyline = (point, polyline = []) => {
+  if (polyline.length < 2) {
+    return polyline.length ? getDistance(point, polyline[0]) : Infinity;
+  }
+
+  const projectedPoint = projectToPlane(point, point.latitude);
+  const projectedLine = polyline.map((coordinates) => projectToPlane(coordinates, point.latitude));
+
+  let minDistance = Infinity;
+  for (let i = 0; i < projectedLine.length - 1; i++) {
+    minDistance = Math.min(minDistance, getDistanceToSegment(projectedPoint, projectedLine[i], projectedLine[i + 1]));
+  }
+
+  return minDistance;
+};
+
+/**
+ * Get length of a polyline.
+ * @param {object[]} polyline Coordinates of polyline.
+ * @returns {number} Length in meters.
+ */
+export const getPolylineLength = (polyline = []) => {
+  let length = 0;
+  for (let i = 0; i < polyline.length - 1; i++) {
+    length += getDistance(polyline[i], polyline[i + 1]);
+  }
+
+  return length;
+};
+
+/**
+ * Add points to a polyline so that no segment is longer than a maximum length.
+ * @param {object[]} polyline Coordinates of polyline.
+ * @param {number} maxSegmentLength Maximum length of segments in meters.
+ * @returns {object[]} Coordinates of densified polyline.
+ */
+export const densifyPolyline = (polyline = [], maxSegmentLength) => {
+  if (polyline.length < 2 || !(maxSegmentLength > 0)) {
+    return [...polyline];
+  }
+
+  const densified = [polyline[0]];
+  for (let i = 0; i < polyline.length - 1; i++) {
+    const start = polyline[i];
+    const end = polyline[i + 1];
+    const steps = Math.max(1, Math.ceil(getDistance(start, end) / maxSegmentLength));
+
+    for (let step = 1; step <= steps; step++) {
+      densified.push({
+        latitude: start.latitude + (end.latitude - start.latitude) * step / steps,
+        longitude: start.longitude + (end.longitude - start.longitude) * step / steps,
+      });
+    }
+  }
+
+  return densified;
+};
+
+/**
+ * Parse a "latitude, longitude" pair.
+ * @param {string} text Text to parse.
+ * @returns {object|null} Coordinates ({ latitude: number, longitude: number }) or null if text is no valid pair.
+ */
+export const parseCoordinates = (text = '') => {
+  const values = text.trim().split(/[\s,;]+/);
+  if (values.length !== 2 || values.some((value) => value === '')) {
+    return null;
+  }
+
+  const [latitude, longitude] = values.map((value) => Number(value));
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > LATITUDE_MAX) {
+    return null;
+  }
+
+  return { latitude, longitude };
+};
+
+/**
+ * Get the non-empty lines of a text.
+ * @param {string} text Text.
+ * @returns {string[]} Trimmed lines that are not empty.
+ */
+export const getNonEmptyLines = (text = '') => {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line !== '');
+};
+
+/**
+ * Parse list of coordinates, one "latitude, longitude" pair per line. Invalid lines are skipped.
+ * @param {string} text Text to parse.
+ * @returns {object[]} Coordinates ({ latitude: number, longitude: number }).
+ */
+export const parseCoordinatesList = (text = '') => {
+  return getNonEmptyLines(text)
+    .map((line) => {
+      const coordinates = parseCoordinates(line);
+      if (!coordinates) {
+        console.warn(`Story Map: Could not parse coordinates "${line}".`);
+      }
+
+      return coordinates;
+    })
+    .filter((coordinates) => coordinates !== null);
+};
+
+/**
+ * Get features from GeoJSON text. Accepts a FeatureCollection, a Feature or a plain geometry.
+ * @param {string} text GeoJSON text.
+ * @returns {object[]} GeoJSON features.
+ */
+export const parseGeoJSONFeatures = (text = '') => {
+  let json;
+  try {
+    json = JSON.parse(text);
+  }
+  catch (error) {
+    console.warn('Story Map: Could not parse GeoJSON.', error);
+    return [];
+  }
+
+  if (json?.type === 'FeatureCollection') {
+    return (Array.isArray(json.features) ? json.features : [])
+      .filter((feature) => feature?.type === 'Feature');
+  }
+  else if (json?.type === 'Feature') {
+    return [json];
+  }
+  else if (typeof json?.type === 'string') {
+    return [{ type: 'Feature', properties: {}, geometry: json }];
+  }
+
+  console.warn('Story Map: GeoJSON does not contain any features.');
+  return [];
+};
+
+/**
+ * Get initial bearing from one point to another.
+ * @param {object} from Start coordinates ({ latitude: number, longitude: number }).
+ * @param {object} to Target coordinates ({ latitude: number, longitude: number }).
+ * @returns {number} Bearing in degrees clockwise from north, between 0 and 360.
+ */
+export const getBearing = (from, to) => {
+  const latitudeFrom = toRadians(from.latitude);
+  const latitudeTo = toRadians(to.latitude);
+  const deltaLongitude = toRadians(to.longitude - from.longitude);
+
+  const y = Math.sin(deltaLongitude) * Math.cos(latitudeTo);
+  const x = Math.cos(latitudeFrom) * Math.sin(latitudeTo) -
+    Math.sin(latitudeFrom) * Math.cos(latitudeTo) * Math.cos(deltaLongitude);
+
+  const degrees = Math.atan2(y, x) * DEGREES_HALF_CIRCLE / Math.PI;
+
+  return (degrees + 2 * DEGREES_HALF_CIRCLE) % (2 * DEGREES_HALF_CIRCLE);
+};
@@ -0,0 +1,127 @@
+import { parseGeoJSONFeatures } from '@services/geo-util.js';
+import {
+  buildTextContents, textToHTML, PROBLEM_DUPLICATE_ID, PROBLEM_FILE_UNAVAILABLE, PROBLEM_INVALID_COORDINATES,
+  PROBLEM_NO_POINT, PROBLEM_NO_WAYPOINTS,
+} from '@services/waypoint-source.js';
+
+/** @constant {number} LATITUDE_MAX Maximum absolute latitude. */
+const LATITUDE_MAX = 90;
+
+/** @constant {object} DEFAULT_PROPERTY_MAPPING Feature properties that waypoint fields are read from by default. */
+const DEFAULT_PROPERTY_MAPPING = {
+  id: 'id',
+  title: 'title',
+  description: 'description',
+  journalPrompt: 'journalPrompt',
+};
+
+/**
+ * Get a property value of a feature as trimmed text.
+ * @param {object} feature GeoJSON feature.
+ * @param {string} propertyName Name of the property.
+ * @returns {string} Property value or empty string if not set.
+ */
+const getPropertyText = (feature, propertyName) => {
+  const value = feature.properties?.[propertyName];
+  return (value === undefined || value === null) ? '' : `${value}`.trim();
+};
+
+/**
+ * Get coordinates of a point feature.
+ * @param {object} feature GeoJSON feature.
+ * @returns {object|null} Coordinates ({ latitude: number, longitude: number }) or null if invalid.
+ */
+const getPointCoordinates = (feature) => {
+  const [longitude, latitude] = Array.isArray(feature.geometry.coordinates) ? feature.geometry.coordinates : [];
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > LATITUDE_MAX) {
+    return null;
+  }
+
+  return { latitude, longitude };
+};
+
+/**
+ * Get waypoint parameters from the point features of a GeoJSON FeatureCollection.
+ * The order of the features defines the order of the waypoints.
+ * @param {string} text GeoJSON text.
+ * @param {object} [propertyMapping] Names of the feature properties to read waypoint fields from.
+ * @param {string} [propertyMapping.id] Property holding the id.
+ * @param {string} [propertyMapping.title] Property holding the title.
+ * @param {string} [propertyMapping.description] Property holding a plain text description.
+ * @param {string} [propertyMapping.journalPrompt] Property holding the journal prompt.
+ * @returns {object} Waypoint parameters and problems ({ waypoints: object[], problems: object[] }).
+ */
+export const getWaypointsFromGeoJSON = (text = '', propertyMapping = {}) => {
+  const propertyNames = { ...DEFAULT_PROPERTY_MAPPING };
+  Object.entries(propertyMapping ?? {}).forEach(([field, propertyName]) => {
+    if (typeof propertyName === 'string' && propertyName.trim() !== '') {
+      propertyNames[field] = propertyName.trim();
+    }
+  });
+
+  const waypoints = [];
+  const problems = [];
+
+  parseGeoJSONFeatures(text).forEach((feature, index) => {
+    const number = index + 1;
+
+    if (feature.geometry?.type !== 'Point') {
+      console.warn(`Story Map: Skipping GeoJSON feature ${number} of type "${feature.geometry?.type}", only points can be waypoints.`);
+      problems.push({ type: PROBLEM_NO_POINT, number: number });
+      return;
+    }
+
+    const coordinates = getPointCoordinates(feature);
+    if (!coordinates) {
+      console.warn(`Story Map: Skipping GeoJSON feature ${number}, its coordinates are invalid.`);
+      problems.push({ type: PROBLEM_INVALID_COORDINATES, number: number });
+      return;
+    }
+
+    // Ids must be stable across page loads to restore the previous state
+    let id = getPropertyText(feature, propertyNames.id) || `${feature.id ?? ''}`.trim() || `feature-${number}`;
+    if (waypoints.some((waypoint) => waypoint.id === id)) {
+      console.warn(`Story Map: GeoJSON feature ${number} uses the id "${id}" of a previous feature.`);
+      problems.push({ type: PROBLEM_DUPLICATE_ID, number: number });
+      id = `feature-${number}`;
+    }
+
+    const description = getPropertyText(feature, propertyNames.description);
+    waypoints.push({
+      id: id,
+      ...coordinates,
+      title: getPropertyText(feature, propertyNames.title),
+      contents: buildTextContents(id, description ? textToHTML(description) : ''),
+      journalPrompt: getPropertyText(feature, propertyNames.journalPrompt),
+    });
+  });
+
+  if (!waypoints.length) {
+    console.warn('Story Map: GeoJSON does not contain any points that can be waypoints.');
+    problems.push({ type: PROBLEM_NO_WAYPOINTS });
+  }
+
+  return { waypoints, problems };
+};
+
+/**
+ * Load GeoJSON file and get waypoint parameters from its point features.
+ * @param {string} url URL of the GeoJSON file.
+ * @param {object} [propertyMapping] Names of the feature properties to read waypoint fields from.
+ * @returns {Promise<object>} Waypoint parameters and problems ({ waypoints: object[], problems: object[] }).
+ */
+export const loadWaypointsFromGeoJSONFile = async (url, propertyMapping = {}) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    return getWaypointsFromGeoJSON(await response.text(), propertyMapping);
+  }
+  catch (error) {
+    console.warn(`Story Map: Could not load GeoJSON file "${url}".`, error);
+    return { waypoints: [], problems: [{ type: PROBLEM_FILE_UNAVAILABLE }] };
+  }
+};
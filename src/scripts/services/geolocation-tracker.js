@@ -0,0 +1,134 @@
+import { extend } from '@services/util.js';
+
+/** @constant {number} MAXIMUM_POSITION_AGE_MS Maximum age of a cached position in milliseconds. */
+const MAXIMUM_POSITION_AGE_MS = 10000;
+
+/** @constant {number} PERMISSION_DENIED_CODE Code of GeolocationPositionError if permission was denied. */
+const PERMISSION_DENIED_CODE = 1;
+
+/** @constant {string} ERROR_UNSUPPORTED Error code if geolocation is not supported. */
+export const ERROR_UNSUPPORTED = 'unsupported';
+
+/** @constant {string} ERROR_PERMISSION_DENIED Error code if the user denied access to the location. */
+export const ERROR_PERMISSION_DENIED = 'permissionDenied';
+
+/** @constant {string} ERROR_UNAVAILABLE Error code if the location could not be determined. */
+export const ERROR_UNAVAILABLE = 'unavailable';
+
+/**
+ * Tracker for the device's position. Uses the browser's geolocation API by
+ * default, but any provider implementing watchPosition and clearWatch will do,
+ * e.g. a mock for testing.
+ */
+export default class GeolocationTracker {
+  /**
+   * @class
+   * @param {object} [params] Parameters.
+   * @param {object} [params.provider] Geolocation provider, navigator.geolocation by default.
+   * @param {object} [callbacks] Callbacks.
+   * @param {function} [callbacks.onPositionChanged] Callback when position changed.
+   * @param {function} [callbacks.onError] Callback when position could not be determined.
+   */
+  constructor(params = {}, callbacks = {}) {
+    // Not merged with extend, as that would copy a custom provider into navigator.geolocation
+    this.provider = params.provider ?? navigator.geolocation;
+
+    this.callbacks = extend({
+      onPositionChanged: () => {},
+      onError: () => {},
+    }, callbacks);
+
+    this.watchId = null;
+    this.position = null;
+  }
+
+  /**
+   * Start tracking the position.
+   */
+  start() {
+    if (this.isTracking()) {
+      return;
+    }
+
+    const provider = this.provider;
+    if (typeof provider?.watchPosition !== 'function') {
+      this.callbacks.onError(ERROR_UNSUPPORTED);
+      return;
+    }
+
+    this.watchId = provider.watchPosition(
+      (position) => {
+        this.handlePosition(position);
+      },
+      (error) => {
+        this.handleError(error);
+      },
+      {
+        enableHighAccuracy: true,
+        maximumAge: MAXIMUM_POSITION_AGE_MS,
+      },
+    );
+  }
+
+  /**
+   * Stop tracking the position.
+   */
+  stop() {
+    if (!this.isTracking()) {
+      return;
+    }
+
+    this.provider.clearWatch?.(this.watchId);
+    this.watchId = null;
+  }
+
+  /**
+   * Determine whether the position is being tracked.
+   * @returns {boolean} True, if position is being tracked.
+   */
+  isTracking() {
+    return this.watchId !== null;
+  }
+
+  /**
+   * Get last known position.
+   * @returns {object|null} Position ({ latitude: number, longitude: number, accuracy: number }) or null.
+   */
+  getPosition() {
+    return this.position;
+  }
+
+  /**
+   * Handle position reported by provider.
+   * @param {GeolocationPosition} position Position.
+   */
+  handlePosition(position) {
+    const latitude = position?.coords?.latitude;
+    const longitude = position?.coords?.longitude;
+    if (typeof latitude !== 'number' || typeof longitude !== 'number') {
+      return;
+    }
+
+    this.position = {
+      latitude: latitude,
+      longitude: longitude,
+      accuracy: position.coords.accuracy ?? 0,
+    };
+
+    this.callbacks.onPositionChanged(this.position);
+  }
+
+  /**
+   * Handle error reported by provider.
+   * @param {GeolocationPositionError} error Error.
+   */
+  handleError(error) {
+    if (error?.code === PERMISSION_DENIED_CODE) {
+      this.stop(); // Browsers won't ask again anyway
+      this.callbacks.onError(ERROR_PERMISSION_DENIED);
+    }
+    else {
+      this.callbacks.onError(ERROR_UNAVAILABLE);
+    }
+  }
+}
@@ -0,0 +1,117 @@
+import { getDistance } from '@services/geo-util.js';
+
+/** @constant {number} LATITUDE_MAX Maximum absolute latitude. */
+const LATITUDE_MAX = 90;
+
+/**
+ * Parse track points of a GPX document. Points of all tracks and segments are joined in document order.
+ * Route points are used if the document does not contain any track points.
+ * @param {string} text GPX document.
+ * @returns {object[]} Track points ({ latitude: number, longitude: number, elevation: number|null }).
+ */
+export const parseGPXTrack = (text = '') => {
+  const gpx = new DOMParser().parseFromString(text, 'application/xml');
+  if (gpx.querySelector('parsererror')) {
+    console.warn('Story Map: Could not parse GPX track.');
+    return [];
+  }
+
+  let pointElements = [...gpx.getElementsByTagNameNS('*', 'trkpt')];
+  if (!pointElements.length) {
+    pointElements = [...gpx.getElementsByTagNameNS('*', 'rtept')];
+  }
+
+  const track = pointElements
+    .map((pointElement) => {
+      const latitude = parseFloat(pointElement.getAttribute('lat'));
+      const longitude = parseFloat(pointElement.getAttribute('lon'));
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > LATITUDE_MAX) {
+        return null;
+      }
+
+      const elevation = parseFloat(pointElement.getElementsByTagNameNS('*', 'ele')[0]?.textContent);
+
+      return { latitude, longitude, elevation: Number.isFinite(elevation) ? elevation : null };
+    })
+    .filter((point) => point !== null);
+
+  if (track.length < 2) {
+    console.warn('Story Map: The GPX track needs at least two valid points.');
+    return [];
+  }
+
+  return track;
+};
+
+/**
+ * Load GPX file and parse its track points.
+ * @param {string} url URL of the GPX file.
+ * @returns {Promise<object[]>} Track points ({ latitude: number, longitude: number, elevation: number|null }).
+ */
+export const loadGPXTrack = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    return parseGPXTrack(await response.text());
+  }
+  catch (error) {
+    console.warn(`Story Map: Could not load GPX track "${url}".`, error);
+    return [];
+  }
+};
+
+/**
+ * Get index of the track point that is nearest to some coordinates.
+ * @param {object[]} track Track points ({ latitude: number, longitude: number }).
+ * @param {object} coordinates Coordinates ({ latitude: number, longitude: number }).
+ * @returns {number} Index of nearest track point or -1 if the track is empty.
+ */
+export const getNearestTrackPointIndex = (track = [], coordinates = {}) => {
+  let nearestIndex = -1;
+  let nearestDistance = Infinity;
+
+  track.forEach((point, index) => {
+    const distance = getDistance(point, coordinates);
+    if (distance < nearestDistance) {
+      nearestIndex = index;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearestIndex;
+};
+
+/**
+ * Get the track points between two track points, both included, in the order of travel.
+ * @param {object[]} track Track points.
+ * @param {number} fromIndex Index of first track point.
+ * @param {number} toIndex Index of last track point.
+ * @returns {object[]} Track points, reversed if travelling against the direction of the track.
+ */
+export const getTrackSection = (track = [], fromIndex, toIndex) => {
+  if (fromIndex <= toIndex) {
+    return track.slice(fromIndex, toIndex + 1);
+  }
+
+  return track.slice(toIndex, fromIndex + 1).reverse();
+};
+
+/**
+ * Get distance of each track point from the start of the track.
+ * @param {object[]} track Track points ({ latitude: number, longitude: number }).
+ * @returns {number[]} Distances in meters along the track.
+ */
+export const getTrackDistances = (track = []) => {
+  let total = 0;
+
+  return track.map((point, index) => {
+    if (index > 0) {
+      total += getDistance(track[index - 1], point);
+    }
+
+    return total;
+  });
+};
@@ -0,0 +1,156 @@
+/** @constant {string} GPX_NAMESPACE Namespace of GPX 1.1 documents. */
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+
+/** @constant {string} GPX_CREATOR Creator of GPX documents. */
+const GPX_CREATOR = 'H5P Story Map';
+
+/** @constant {string} NOTE_TYPE Type of personal notes placed by the user. */
+const NOTE_TYPE = 'note';
+
+/** @constant {number} JSON_INDENTATION Indentation of GeoJSON documents. */
+const JSON_INDENTATION = 2;
+
+/**
+ * Convert a timestamp to an ISO 8601 date string.
+ * @param {number} [timestamp] Milliseconds since epoch.
+ * @returns {string|null} ISO 8601 date or null if no valid timestamp was given.
+ */
+const toISOString = (timestamp) => {
+  return Number.isFinite(timestamp) ? new Date(timestamp).toISOString() : null;
+};
+
+/**
+ * Add child element with text to an XML element if the text is set.
+ * @param {Element} parent Parent element.
+ * @param {string} tagName Tag name of child.
+ * @param {string|null} [text] Text of child.
+ */
+const appendTextElement = (parent, tagName, text) => {
+  if (!text) {
+    return;
+  }
+
+  const element = parent.ownerDocument.createElementNS(GPX_NAMESPACE, tagName);
+  element.textContent = text;
+  parent.append(element);
+};
+
+/**
+ * Create GPX point element.
+ * @param {Document} gpx GPX document.
+ * @param {string} tagName Tag name, e.g. wpt or trkpt.
+ * @param {object} point Point ({ latitude, longitude, title, timestamp, note, type }).
+ * @returns {Element} Point element.
+ */
+const createGPXPoint = (gpx, tagName, point) => {
+  const element = gpx.createElementNS(GPX_NAMESPACE, tagName);
+  element.setAttribute('lat', point.latitude);
+  element.setAttribute('lon', point.longitude);
+
+  // GPX requires this order of child elements
+  appendTextElement(element, 'time', toISOString(point.timestamp));
+  appendTextElement(element, 'name', point.title);
+  appendTextElement(element, 'desc', point.note);
+  appendTextElement(element, 'type', point.type);
+
+  return element;
+};
+
+/**
+ * Create GPX document of a journey with the visited stops as track and waypoints and notes as waypoints.
+ * @param {object} journey Journey.
+ * @param {string} [journey.title] Title of the journey.
+ * @param {object[]} journey.stops Visited stops in order ({ latitude, longitude, title, timestamp, note }).
+ * @param {object[]} [journey.notes] Personal notes ({ latitude, longitude, title, note }).
+ * @returns {string} GPX document.
+ */
+export const createGPX = (journey = {}) => {
+  const stops = journey.stops ?? [];
+  const notes = journey.notes ?? [];
+
+  const gpx = document.implementation.createDocument(GPX_NAMESPACE, 'gpx', null);
+  const root = gpx.documentElement;
+  root.setAttribute('version', '1.1');
+  root.setAttribute('creator', GPX_CREATOR);
+
+  const metadata = gpx.createElementNS(GPX_NAMESPACE, 'metadata');
+  appendTextElement(metadata, 'name', journey.title);
+  appendTextElement(metadata, 'time', toISOString(Date.now()));
+  root.append(metadata);
+
+  stops.forEach((stop) => {
+    root.append(createGPXPoint(gpx, 'wpt', stop));
+  });
+
+  notes.forEach((note) => {
+    root.append(createGPXPoint(gpx, 'wpt', { ...note, type: NOTE_TYPE }));
+  });
+
+  const track = gpx.createElementNS(GPX_NAMESPACE, 'trk');
+  appendTextElement(track, 'name', journey.title);
+  const segment = gpx.createElementNS(GPX_NAMESPACE, 'trkseg');
+  stops.forEach((stop) => {
+    segment.append(createGPXPoint(gpx, 'trkpt', { ...stop, note: null }));
+  });
+  track.append(segment);
+  root.append(track);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(gpx)}`;
+};
+
+/**
+ * Create GeoJSON FeatureCollection of a journey with the route, the visited stops and notes.
+ * @param {object} journey Journey.
+ * @param {string} [journey.title] Title of the journey.
+ * @param {object[]} journey.stops Visited stops in order ({ latitude, longitude, title, timestamp, note }).
+ * @param {object[]} [journey.notes] Personal notes ({ latitude, longitude, title, note }).
+ * @returns {string} GeoJSON document.
+ */
+export const createGeoJSON = (journey = {}) => {
+  const stops = journey.stops ?? [];
+  const notes = journey.notes ?? [];
+
+  const features = [];
+
+  if (stops.length) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: stops.map((stop) => [stop.longitude, stop.latitude]),
+      },
+      properties: {
+        name: journey.title ?? '',
+        // Common convention for timestamps of LineString coordinates
+        coordTimes: stops.map((stop) => toISOString(stop.timestamp)),
+      },
+    });
+  }
+
+  stops.forEach((stop, index) => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [stop.longitude, stop.latitude] },
+      properties: {
+        name: stop.title,
+        order: index + 1,
+        time: toISOString(stop.timestamp),
+        note: stop.note || null,
+      },
+    });
+  });
+
+  notes.forEach((note) => {
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [note.longitude, note.latitude] },
+      properties: {
+        name: note.title,
+        type: NOTE_TYPE,
+        note: note.note || null,
+      },
+    });
+  });
+
+  return JSON.stringify({ type: 'FeatureCollection', features: features }, null, JSON_INDENTATION);
+};
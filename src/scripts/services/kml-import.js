@@ -0,0 +1,300 @@
+import DOMPurify from 'dompurify';
+import { isZipArchive, unzip } from '@services/unzip.js';
+import {
+  buildTextContents, textToHTML, PROBLEM_DUPLICATE_ID, PROBLEM_FILE_UNAVAILABLE, PROBLEM_INVALID_COORDINATES,
+  PROBLEM_NO_WAYPOINTS, PROBLEM_UNSUPPORTED_ELEMENT,
+} from '@services/waypoint-source.js';
+
+/** @constant {number} LATITUDE_MAX Maximum absolute latitude. */
+const LATITUDE_MAX = 90;
+
+/** @constant {string} OVERLAY_TYPE_PATH Overlay type of lines. */
+export const OVERLAY_TYPE_PATH = 'path';
+
+/** @constant {string} OVERLAY_TYPE_AREA Overlay type of polygons. */
+export const OVERLAY_TYPE_AREA = 'area';
+
+/** @constant {string} OVERLAY_TYPE_IMAGE Overlay type of images. */
+export const OVERLAY_TYPE_IMAGE = 'image';
+
+/** @constant {string[]} GEOMETRY_ELEMENTS Names of KML geometry elements of a placemark. */
+const GEOMETRY_ELEMENTS = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry', 'Model', 'Track', 'MultiTrack'];
+
+/** @constant {string[]} UNSUPPORTED_FEATURE_ELEMENTS Names of KML features that cannot be displayed. */
+const UNSUPPORTED_FEATURE_ELEMENTS = ['ScreenOverlay', 'PhotoOverlay', 'NetworkLink', 'Tour'];
+
+/** @constant {object} IMAGE_MIME_TYPES MIME types of images by file extension. */
+const IMAGE_MIME_TYPES = {
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+};
+
+/**
+ * Get direct child element by its local name, ignoring namespaces.
+ * @param {Element} element Parent element.
+ * @param {string} localName Local name of child.
+ * @returns {Element|undefined} Child element.
+ */
+const getChildElement = (element, localName) => {
+  return [...(element?.children ?? [])].find((child) => child.localName === localName);
+};
+
+/**
+ * Get text of direct child element.
+ * @param {Element} element Parent element.
+ * @param {string} localName Local name of child.
+ * @returns {string} Trimmed text or empty string if there is no such child.
+ */
+const getChildText = (element, localName) => {
+  return getChildElement(element, localName)?.textContent.trim() ?? '';
+};
+
+/**
+ * Parse KML coordinates, which are whitespace separated "longitude,latitude[,altitude]" tuples.
+ * @param {string} text Coordinates text.
+ * @returns {object[]|null} Coordinates ({ latitude: number, longitude: number }) or null if any tuple is invalid.
+ */
+const parseCoordinates = (text = '') => {
+  const coordinates = text
+    .split(/\s+/)
+    .filter((tuple) => tuple !== '')
+    .map((tuple) => {
+      const [longitude, latitude] = tuple.split(',').map((value) => parseFloat(value));
+      if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > LATITUDE_MAX) {
+        return null;
+      }
+
+      return { latitude, longitude };
+    });
+
+  return coordinates.includes(null) ? null : coordinates;
+};
+
+/**
+ * Get coordinates of the linear ring inside of a polygon boundary.
+ * @param {Element} boundary Boundary element, outerBoundaryIs or innerBoundaryIs.
+ * @returns {object[]|null} Coordinates or null if invalid.
+ */
+const parseBoundary = (boundary) => {
+  return parseCoordinates(getChildText(getChildElement(boundary, 'LinearRing'), 'coordinates'));
+};
+
+/**
+ * Get all geometries of a placemark, resolving multi geometries.
+ * @param {Element} element Placemark or MultiGeometry element.
+ * @returns {Element[]} Geometry elements.
+ */
+const getGeometries = (element) => {
+  return [...element.children]
+    .filter((child) => GEOMETRY_ELEMENTS.includes(child.localName))
+    .flatMap((child) => child.localName === 'MultiGeometry' ? getGeometries(child) : [child]);
+};
+
+/**
+ * Get description of a placemark as sanitized HTML. Google Earth descriptions may be HTML or plain text.
+ * @param {Element} placemark Placemark element.
+ * @returns {string} HTML or empty string.
+ */
+const getDescriptionHTML = (placemark) => {
+  const description = getChildText(placemark, 'description');
+  if (!description) {
+    return '';
+  }
+
+  return /<[a-z][\s\S]*>/i.test(description) ? DOMPurify.sanitize(description) : textToHTML(description);
+};
+
+/**
+ * Get waypoints and overlays from a KML document.
+ * Points of placemarks become waypoints in document order, lines become paths, polygons become areas and
+ * ground overlays become images. Other elements are reported as problems.
+ * @param {string} text KML document.
+ * @param {object} [options] Options.
+ * @param {function} [options.resolveURL] Resolver for links to images, receiving the link and returning a URL.
+ * @returns {object} Waypoints, overlays and problems ({ waypoints: object[], overlays: object[], problems: object[] }).
+ */
+export const parseKML = (text = '', options = {}) => {
+  const resolveURL = options.resolveURL ?? ((href) => href);
+
+  const waypoints = [];
+  const overlays = [];
+  const problems = [];
+
+  const kml = new DOMParser().parseFromString(text, 'application/xml');
+  if (kml.querySelector('parsererror')) {
+    console.warn('Story Map: Could not parse KML.');
+    return { waypoints, overlays, problems: [{ type: PROBLEM_NO_WAYPOINTS }] };
+  }
+
+  const reportUnsupported = (localName) => {
+    if (problems.some((problem) => problem.type === PROBLEM_UNSUPPORTED_ELEMENT && problem.element === localName)) {
+      return;
+    }
+
+    console.warn(`Story Map: Skipping KML element "${localName}", it is not supported.`);
+    problems.push({ type: PROBLEM_UNSUPPORTED_ELEMENT, element: localName });
+  };
+
+  [...kml.getElementsByTagNameNS('*', 'Placemark')].forEach((placemark, index) => {
+    const number = index + 1;
+    const name = getChildText(placemark, 'name');
+    let pointCount = 0;
+
+    const reportInvalidCoordinates = () => {
+      console.warn(`Story Map: Skipping geometry of KML placemark ${number}, its coordinates are invalid.`);
+      problems.push({ type: PROBLEM_INVALID_COORDINATES, number: number });
+    };
+
+    getGeometries(placemark).forEach((geometry) => {
+      if (geometry.localName === 'Point') {
+        const coordinates = parseCoordinates(getChildText(geometry, 'coordinates'))?.[0];
+        if (!coordinates) {
+          reportInvalidCoordinates();
+          return;
+        }
+
+        // Ids must be stable across page loads to restore the previous state, multi geometries may hold more points
+        pointCount++;
+        const suffix = pointCount > 1 ? `-${pointCount}` : '';
+        const defaultId = `placemark-${number}${suffix}`;
+
+        let id = placemark.getAttribute('id')?.trim() ? `${placemark.getAttribute('id').trim()}${suffix}` : defaultId;
+        if (waypoints.some((waypoint) => waypoint.id === id)) {
+          console.warn(`Story Map: KML placemark ${number} uses the id "${id}" of a previous placemark.`);
+          problems.push({ type: PROBLEM_DUPLICATE_ID, number: number });
+          id = defaultId;
+        }
+
+        waypoints.push({
+          id: id,
+          ...coordinates,
+          title: name,
+          contents: buildTextContents(id, getDescriptionHTML(placemark)),
+        });
+      }
+      else if (geometry.localName === 'LineString') {
+        const coordinates = parseCoordinates(getChildText(geometry, 'coordinates'));
+        if (!coordinates || coordinates.length < 2) {
+          reportInvalidCoordinates();
+          return;
+        }
+
+        overlays.push({ type: OVERLAY_TYPE_PATH, name: name, coordinates: coordinates });
+      }
+      else if (geometry.localName === 'Polygon') {
+        const outerBoundary = parseBoundary(getChildElement(geometry, 'outerBoundaryIs'));
+        const innerBoundaries = [...geometry.children]
+          .filter((child) => child.localName === 'innerBoundaryIs')
+          .map((boundary) => parseBoundary(boundary));
+
+        if (!outerBoundary?.length || innerBoundaries.includes(null)) {
+          reportInvalidCoordinates();
+          return;
+        }
+
+        overlays.push({ type: OVERLAY_TYPE_AREA, name: name, rings: [outerBoundary, ...innerBoundaries] });
+      }
+      else {
+        reportUnsupported(geometry.localName);
+      }
+    });
+  });
+
+  [...kml.getElementsByTagNameNS('*', 'GroundOverlay')].forEach((groundOverlay) => {
+    const latLonBox = getChildElement(groundOverlay, 'LatLonBox');
+    if (!latLonBox) {
+      reportUnsupported('LatLonQuad');
+      return;
+    }
+
+    const bounds = ['north', 'south', 'east', 'west'].reduce((result, side) => {
+      return { ...result, [side]: parseFloat(getChildText(latLonBox, side)) };
+    }, {});
+    const href = getChildText(getChildElement(groundOverlay, 'Icon'), 'href');
+
+    if (!href || Object.values(bounds).some((value) => !Number.isFinite(value))) {
+      console.warn('Story Map: Skipping KML ground overlay without image or bounds.');
+      return;
+    }
+
+    if (parseFloat(getChildText(latLonBox, 'rotation'))) {
+      console.warn('Story Map: Rotation of KML ground overlays is not supported and will be ignored.');
+    }
+
+    overlays.push({ type: OVERLAY_TYPE_IMAGE, name: getChildText(groundOverlay, 'name'), url: resolveURL(href), bounds });
+  });
+
+  UNSUPPORTED_FEATURE_ELEMENTS.forEach((localName) => {
+    if (kml.getElementsByTagNameNS('*', localName).length) {
+      reportUnsupported(localName);
+    }
+  });
+
+  if (!waypoints.length) {
+    console.warn('Story Map: KML does not contain any points that can be waypoints.');
+    problems.push({ type: PROBLEM_NO_WAYPOINTS });
+  }
+
+  return { waypoints, overlays, problems };
+};
+
+/**
+ * Get URL for a file inside of a KMZ archive.
+ * @param {Map<string, Uint8Array>} files Files of the archive by path.
+ * @param {string} kmlPath Path of the KML document in the archive that links the file.
+ * @param {string} href Link relative to the KML document.
+ * @returns {string|null} Object URL or null if the archive does not contain the file.
+ */
+const getArchiveFileURL = (files, kmlPath, href) => {
+  const directory = kmlPath.slice(0, kmlPath.lastIndexOf('/') + 1);
+  const path = `${directory}${href.replace(/^\.\//, '')}`;
+  if (!files.has(path)) {
+    return null;
+  }
+
+  const extension = path.split('.').pop().toLowerCase();
+  return URL.createObjectURL(new Blob([files.get(path)], { type: IMAGE_MIME_TYPES[extension] ?? '' }));
+};
+
+/**
+ * Load KML or KMZ file and get its waypoints and overlays.
+ * @param {string} url URL of the KML or KMZ file.
+ * @returns {Promise<object>} Waypoints, overlays and problems, see parseKML.
+ */
+export const loadKMLFile = async (url) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    const buffer = await response.arrayBuffer();
+    const resolveRemoteURL = (href) => new URL(href, new URL(url, window.location.href)).href;
+
+    if (!isZipArchive(buffer)) {
+      return parseKML(new TextDecoder().decode(buffer), { resolveURL: resolveRemoteURL });
+    }
+
+    // KMZ archives contain one main KML document, usually doc.kml, and the files it links to
+    const files = await unzip(buffer);
+    const kmlPath = files.has('doc.kml') ?
+      'doc.kml' :
+      [...files.keys()].find((path) => path.toLowerCase().endsWith('.kml'));
+
+    if (!kmlPath) {
+      throw new Error('The KMZ archive does not contain a KML document.');
+    }
+
+    return parseKML(new TextDecoder().decode(files.get(kmlPath)), {
+      resolveURL: (href) => getArchiveFileURL(files, kmlPath, href) ?? resolveRemoteURL(href),
+    });
+  }
+  catch (error) {
+    console.warn(`Story Map: Could not load KML file "${url}".`, error);
+    return { waypoints: [], overlays: [], problems: [{ type: PROBLEM_FILE_UNAVAILABLE }] };
+  }
+};
@@ -0,0 +1,277 @@
+/*
+ * Converter for Knight Lab StoryMapJS JSON, cmp. https://storymap.knightlab.com/advanced/
+ */
+import he from 'he';
+import {
+  buildTextContents, PROBLEM_FILE_UNAVAILABLE, PROBLEM_INVALID_COORDINATES, PROBLEM_NO_WAYPOINTS,
+  PROBLEM_UNSUPPORTED_ELEMENT,
+} from '@services/waypoint-source.js';
+
+/** @constant {number} LATITUDE_MAX Maximum absolute latitude. */
+const LATITUDE_MAX = 90;
+
+/** @constant {string} IMAGE_LIBRARY Library used for image media, preloaded by library.json. */
+const IMAGE_LIBRARY = 'H5P.Image 1.1';
+
+/** @constant {string} VIDEO_LIBRARY Library used for video media, preloaded by library.json. */
+const VIDEO_LIBRARY = 'H5P.Video 1.6';
+
+/** @constant {string} DEFAULT_MAP_STYLE Map style if the map type has no counterpart. */
+const DEFAULT_MAP_STYLE = 'openStreetMap';
+
+/** @constant {object} MAP_STYLES Map styles of GeoMap for StoryMapJS map types, cmp. MAP_SERVICES. */
+const MAP_STYLES = {
+  'osm:standard': 'openStreetMap',
+  'stamen:toner-lite': 'cartoDB',
+  'stamen:toner': 'cartoDB',
+  'stamen:toner-lines': 'cartoDB',
+  'stamen:toner-labels': 'cartoDB',
+  'stamen:terrain': 'openTopoMap',
+  'stamen:watercolor': 'esriWorldPhysicalMap',
+};
+
+/** @constant {string[]} UNSUPPORTED_MAP_TYPES StoryMapJS map types that do not show geographic maps. */
+const UNSUPPORTED_MAP_TYPES = ['zoomify'];
+
+/** @constant {object} IMAGE_MIME_TYPES MIME types of images by file extension. */
+const IMAGE_MIME_TYPES = {
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+};
+
+/** @constant {object} VIDEO_MIME_TYPES MIME types of video files by file extension. */
+const VIDEO_MIME_TYPES = {
+  mp4: 'video/mp4',
+  ogv: 'video/ogg',
+  webm: 'video/webm',
+};
+
+/**
+ * Get plain text from StoryMapJS HTML, e.g. for titles.
+ * @param {string} html HTML.
+ * @returns {string} Plain text.
+ */
+const toPlainText = (html = '') => {
+  return he.decode(`${html}`.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Get lower case file extension of a URL.
+ * @param {string} url URL.
+ * @returns {string} File extension or empty string.
+ */
+const getFileExtension = (url = '') => {
+  return (url.split(/[?#]/)[0].match(/\.([a-z0-9]+)$/i)?.[1] ?? '').toLowerCase();
+};
+
+/**
+ * Get MIME type of a video URL as expected by H5P.Video.
+ * @param {string} url URL.
+ * @returns {string|undefined} MIME type or undefined if no video.
+ */
+const getVideoMimeType = (url = '') => {
+  if (/(youtube\.com|youtu\.be)\//i.test(url)) {
+    return 'video/YouTube';
+  }
+  else if (/vimeo\.com\//i.test(url)) {
+    return 'video/Vimeo';
+  }
+
+  return VIDEO_MIME_TYPES[getFileExtension(url)];
+};
+
+/**
+ * Build H5P content for the media of a slide.
+ * @param {string} id Id of the waypoint.
+ * @param {object} media StoryMapJS media ({ url: string, caption: string, credit: string }).
+ * @param {string} title Title of the slide, used as fallback for alternative texts.
+ * @param {function} sanitizeHTML Sanitizer for HTML.
+ * @returns {object|null} Content parameters as set by the editor or null if the media is not supported.
+ */
+const buildMediaContent = (id, media, title, sanitizeHTML) => {
+  const url = `${media?.url ?? ''}`.trim();
+  if (!url) {
+    return null;
+  }
+
+  const caption = toPlainText(media.caption);
+  const credit = toPlainText(media.credit);
+
+  if (IMAGE_MIME_TYPES[getFileExtension(url)]) {
+    return {
+      contentType: 'h5p',
+      action: {
+        library: IMAGE_LIBRARY,
+        params: {
+          file: { path: url, mime: IMAGE_MIME_TYPES[getFileExtension(url)] },
+          alt: caption || title,
+          title: [caption, credit].filter((text) => text !== '').join(' - '),
+        },
+        subContentId: `${id}-media`,
+        metadata: { contentType: 'Image', title: caption || title },
+      },
+    };
+  }
+
+  const videoMimeType = getVideoMimeType(url);
+  if (videoMimeType) {
+    return {
+      contentType: 'h5p',
+      action: {
+        library: VIDEO_LIBRARY,
+        params: {
+          sources: [{ path: url, mime: videoMimeType }],
+          visuals: { fit: true, controls: true },
+          playback: { autoplay: false, loop: false },
+        },
+        subContentId: `${id}-media`,
+        metadata: { contentType: 'Video', title: caption || title },
+      },
+    };
+  }
+
+  // Embeds such as tweets or maps are not supported by H5P, but users can still follow the link
+  console.warn(`Story Map: Media "${url}" is no image or video, so it is only linked.`);
+  const link = `<p><a href="${he.encode(url)}" target="_blank">${he.encode(caption || url)}</a></p>`;
+
+  return buildTextContents(`${id}-media`, sanitizeHTML(link))[0];
+};
+
+/**
+ * Get map style of GeoMap that is closest to a StoryMapJS map type.
+ * @param {string} [mapType] StoryMapJS map type, e.g. "stamen:toner-lite".
+ * @returns {string} Map style.
+ */
+export const getMapStyle = (mapType = '') => {
+  if (MAP_STYLES[mapType]) {
+    return MAP_STYLES[mapType];
+  }
+
+  if (mapType && !mapType.startsWith('mapbox:')) {
+    console.warn(`Story Map: StoryMapJS map type "${mapType}" has no counterpart, using "${DEFAULT_MAP_STYLE}".`);
+  }
+
+  return DEFAULT_MAP_STYLE;
+};
+
+/**
+ * Convert StoryMapJS JSON to Story Map parameters.
+ * The overview slide becomes the introduction, all other slides with a location become waypoints in order.
+ * @param {object} json StoryMapJS JSON ({ storymap: { slides: object[], map_type: string } }).
+ * @param {object} [options] Options.
+ * @param {function} [options.sanitizeHTML] Sanitizer for HTML of slides. H5P sanitizes params when saving.
+ * @returns {object} Story Map parameters and problems ({ params: object, problems: object[] }).
+ */
+export const convertStoryMapJS = (json = {}, options = {}) => {
+  const sanitizeHTML = options.sanitizeHTML ?? ((html) => html);
+  const storymap = json?.storymap ?? {};
+  const slides = Array.isArray(storymap.slides) ? storymap.slides : [];
+
+  const problems = [];
+  const waypoints = [];
+  let intro = { showIntro: false };
+  let zoomLevelDefault;
+
+  if (UNSUPPORTED_MAP_TYPES.includes(storymap.map_type) || storymap.map_as_image) {
+    console.warn('Story Map: StoryMapJS stories on images instead of maps are not supported.');
+    problems.push({ type: PROBLEM_UNSUPPORTED_ELEMENT, element: storymap.map_type || 'map_as_image' });
+  }
+
+  slides.forEach((slide, index) => {
+    const number = index + 1;
+    const title = toPlainText(slide?.text?.headline);
+    const text = `${slide?.text?.text ?? ''}`.trim();
+
+    if (slide?.type === 'overview') {
+      const imageURL = `${slide.media?.url ?? ''}`.trim();
+      const imageMimeType = IMAGE_MIME_TYPES[getFileExtension(imageURL)];
+
+      intro = {
+        showIntro: true,
+        title: title,
+        introduction: text ? sanitizeHTML(text) : '',
+        ...(imageMimeType && {
+          image: { path: imageURL, mime: imageMimeType },
+          imageAltText: toPlainText(slide.media.caption) || title,
+        }),
+      };
+      return;
+    }
+
+    const latitude = parseFloat(slide?.location?.lat);
+    const longitude = parseFloat(slide?.location?.lon);
+    if (!Number.isFinite(latitude) || !Number.isFinite(longitude) || Math.abs(latitude) > LATITUDE_MAX) {
+      console.warn(`Story Map: Skipping StoryMapJS slide ${number}, its location is invalid.`);
+      problems.push({ type: PROBLEM_INVALID_COORDINATES, number: number });
+      return;
+    }
+
+    // Ids must be stable across conversions to keep the users' states valid
+    const id = `${slide.uniqueid ?? ''}`.trim() || `slide-${number}`;
+
+    const contents = [
+      buildMediaContent(id, slide.media, title, sanitizeHTML),
+      ...buildTextContents(id, text ? sanitizeHTML(text) : ''),
+    ].filter((content) => !!content);
+
+    if (!contents.length) {
+      // Waypoints need at least one content
+      contents.push(...buildTextContents(id, `<p>${he.encode(title)}</p>`));
+    }
+
+    zoomLevelDefault = zoomLevelDefault ?? (Number.isFinite(slide.location.zoom) ? slide.location.zoom : undefined);
+
+    waypoints.push({ id, latitude, longitude, title, contents });
+  });
+
+  if (!waypoints.length) {
+    console.warn('Story Map: StoryMapJS JSON does not contain any slides with a location.');
+    problems.push({ type: PROBLEM_NO_WAYPOINTS });
+  }
+
+  return {
+    params: {
+      editor: {
+        waypoints: waypoints,
+        ...(zoomLevelDefault !== undefined && { zoomLevelDefault: zoomLevelDefault }),
+      },
+      intro: intro,
+      visual: { mapStyle: getMapStyle(storymap.map_type) },
+    },
+    problems: problems,
+  };
+};
+
+/**
+ * Load StoryMapJS JSON file and convert it to waypoints, an introduction and map settings.
+ * @param {string} url URL of the StoryMapJS JSON file.
+ * @param {object} [options] Options, see convertStoryMapJS.
+ * @returns {Promise<object>} Waypoints, introduction, map settings and problems.
+ *   ({ waypoints, intro, mapStyle, zoomLevelDefault, problems }).
+ */
+export const loadStoryMapJSFile = async (url, options = {}) => {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    const { params, problems } = convertStoryMapJS(await response.json(), options);
+
+    return {
+      waypoints: params.editor.waypoints,
+      intro: params.intro,
+      mapStyle: params.visual.mapStyle,
+      zoomLevelDefault: params.editor.zoomLevelDefault,
+      problems: problems,
+    };
+  }
+  catch (error) {
+    console.warn(`Story Map: Could not load StoryMapJS file "${url}".`, error);
+    return { waypoints: [], problems: [{ type: PROBLEM_FILE_UNAVAILABLE }] };
+  }
+};
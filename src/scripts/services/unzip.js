@@ -0,0 +1,140 @@
+/** @constant {number} SIGNATURE_LOCAL_FILE_HEADER Signature of a local file header. */
+const SIGNATURE_LOCAL_FILE_HEADER = 0x04034b50;
+
+/** @constant {number} SIGNATURE_CENTRAL_DIRECTORY_HEADER Signature of a central directory file header. */
+const SIGNATURE_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+
+/** @constant {number} SIGNATURE_END_OF_CENTRAL_DIRECTORY Signature of the end of central directory record. */
+const SIGNATURE_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+/** @constant {number} MAX_COMMENT_LENGTH Maximum length of the archive comment after the central directory. */
+const MAX_COMMENT_LENGTH = 65535;
+
+/** @constant {object} LOCAL_FILE_HEADER Byte offsets in a local file header. */
+const LOCAL_FILE_HEADER = {
+  fileNameLength: 26,
+  extraFieldLength: 28,
+  size: 30,
+};
+
+/** @constant {object} CENTRAL_DIRECTORY_HEADER Byte offsets in a central directory file header. */
+const CENTRAL_DIRECTORY_HEADER = {
+  compressionMethod: 10,
+  compressedSize: 20,
+  fileNameLength: 28,
+  extraFieldLength: 30,
+  fileCommentLength: 32,
+  localHeaderOffset: 42,
+  size: 46,
+};
+
+/** @constant {object} END_OF_CENTRAL_DIRECTORY Byte offsets in the end of central directory record. */
+const END_OF_CENTRAL_DIRECTORY = {
+  entryCount: 10,
+  centralDirectoryOffset: 16,
+  size: 22,
+};
+
+/** @constant {number} COMPRESSION_STORED Compression method for uncompressed files. */
+const COMPRESSION_STORED = 0;
+
+/** @constant {number} COMPRESSION_DEFLATE Compression method for deflated files. */
+const COMPRESSION_DEFLATE = 8;
+
+/**
+ * Determine whether data is a ZIP archive.
+ * @param {ArrayBuffer} buffer Data.
+ * @returns {boolean} True, if data starts like a ZIP archive.
+ */
+export const isZipArchive = (buffer) => {
+  return buffer.byteLength >= LOCAL_FILE_HEADER.size &&
+    new DataView(buffer).getUint32(0, true) === SIGNATURE_LOCAL_FILE_HEADER;
+};
+
+/**
+ * Inflate raw deflate data using the browser's decompression stream.
+ * @param {Uint8Array} data Compressed data.
+ * @returns {Promise<Uint8Array>} Decompressed data.
+ */
+const inflate = async (data) => {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Find the end of central directory record, which may be followed by a comment.
+ * @param {DataView} view Archive data.
+ * @returns {number} Offset of the record or -1 if not found.
+ */
+const findEndOfCentralDirectory = (view) => {
+  const lastOffset = view.byteLength - END_OF_CENTRAL_DIRECTORY.size;
+  const firstOffset = Math.max(0, lastOffset - MAX_COMMENT_LENGTH);
+
+  for (let offset = lastOffset; offset >= firstOffset; offset--) {
+    if (view.getUint32(offset, true) === SIGNATURE_END_OF_CENTRAL_DIRECTORY) {
+      return offset;
+    }
+  }
+
+  return -1;
+};
+
+/**
+ * Extract all files of a ZIP archive, e.g. of a KMZ file.
+ * Only stored and deflated files are supported, which covers what common tools create.
+ * @param {ArrayBuffer} buffer ZIP archive.
+ * @returns {Promise<Map<string, Uint8Array>>} File contents by path within the archive.
+ */
+export const unzip = async (buffer) => {
+  const view = new DataView(buffer);
+
+  const endOfCentralDirectory = findEndOfCentralDirectory(view);
+  if (endOfCentralDirectory === -1) {
+    throw new Error('Could not find the central directory of the ZIP archive.');
+  }
+
+  const entryCount = view.getUint16(endOfCentralDirectory + END_OF_CENTRAL_DIRECTORY.entryCount, true);
+  let offset = view.getUint32(endOfCentralDirectory + END_OF_CENTRAL_DIRECTORY.centralDirectoryOffset, true);
+
+  const files = new Map();
+  const textDecoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== SIGNATURE_CENTRAL_DIRECTORY_HEADER) {
+      throw new Error('The central directory of the ZIP archive is corrupt.');
+    }
+
+    const compressionMethod = view.getUint16(offset + CENTRAL_DIRECTORY_HEADER.compressionMethod, true);
+    const compressedSize = view.getUint32(offset + CENTRAL_DIRECTORY_HEADER.compressedSize, true);
+    const fileNameLength = view.getUint16(offset + CENTRAL_DIRECTORY_HEADER.fileNameLength, true);
+    const localHeaderOffset = view.getUint32(offset + CENTRAL_DIRECTORY_HEADER.localHeaderOffset, true);
+
+    const path = textDecoder.decode(new Uint8Array(buffer, offset + CENTRAL_DIRECTORY_HEADER.size, fileNameLength));
+
+    offset += CENTRAL_DIRECTORY_HEADER.size + fileNameLength +
+      view.getUint16(offset + CENTRAL_DIRECTORY_HEADER.extraFieldLength, true) +
+      view.getUint16(offset + CENTRAL_DIRECTORY_HEADER.fileCommentLength, true);
+
+    if (path.endsWith('/')) {
+      continue; // Directory
+    }
+
+    // Local header may use different lengths for name and extra field than the central directory
+    const dataOffset = localHeaderOffset + LOCAL_FILE_HEADER.size +
+      view.getUint16(localHeaderOffset + LOCAL_FILE_HEADER.fileNameLength, true) +
+      view.getUint16(localHeaderOffset + LOCAL_FILE_HEADER.extraFieldLength, true);
+    const data = new Uint8Array(buffer, dataOffset, compressedSize);
+
+    if (compressionMethod === COMPRESSION_STORED) {
+      files.set(path, data.slice());
+    }
+    else if (compressionMethod === COMPRESSION_DEFLATE) {
+      files.set(path, await inflate(data));
+    }
+    else {
+      console.warn(`Story Map: Skipping "${path}" in ZIP archive, compression method ${compressionMethod} is not supported.`);
+    }
+  }
+
+  return files;
+};
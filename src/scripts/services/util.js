@@ -197,3 +197,68 @@ export const parseAspectRatio = (value) => {
 
   return null;
 };
+
+/**
+ * Format duration as hours, minutes and seconds.
+ * @param {number} milliseconds Duration in milliseconds.
+ * @returns {string} Formatted duration, e.g. 1:05:09 or 5:09.
+ */
+export const formatDuration = (milliseconds = 0) => {
+  const MS_PER_SECOND = 1000;
+  const SECONDS_PER_MINUTE = 60;
+  const MINUTES_PER_HOUR = 60;
+  const DIGITS = 2;
+
+  const totalSeconds = Math.floor(Math.max(0, milliseconds) / MS_PER_SECOND);
+  const seconds = totalSeconds % SECONDS_PER_MINUTE;
+  const minutes = Math.floor(totalSeconds / SECONDS_PER_MINUTE) % MINUTES_PER_HOUR;
+  const hours = Math.floor(totalSeconds / (SECONDS_PER_MINUTE * MINUTES_PER_HOUR));
+
+  const paddedSeconds = seconds.toString().padStart(DIGITS, '0');
+  if (hours === 0) {
+    return `${minutes}:${paddedSeconds}`;
+  }
+
+  return `${hours}:${minutes.toString().padStart(DIGITS, '0')}:${paddedSeconds}`;
+};
+
+/**
+ * Shuffle array using the Fisher-Yates algorithm.
+ * @param {object[]} array Array to shuffle.
+ * @returns {object[]} Shuffled copy of the array.
+ */
+export const shuffleArray = (array = []) => {
+  const shuffled = [...array];
+
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+
+  return shuffled;
+};
+
+/**
+ * Let the user download a file that was generated in the browser.
+ * @param {string} content Content of the file.
+ * @param {string} fileName Name of the file.
+ * @param {string} [mimeType] MIME type of the file.
+ */
+export const downloadFile = (content, fileName, mimeType = 'text/plain') => {
+  const REVOKE_DELAY_MS = 40000;
+
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', fileName);
+  link.classList.add('display-none');
+  document.body.append(link);
+  link.click();
+  link.remove();
+
+  // Firefox and Safari start the download asynchronously and cancel it if the URL is revoked too early
+  window.setTimeout(() => {
+    URL.revokeObjectURL(url);
+  }, REVOKE_DELAY_MS);
+};
@@ -0,0 +1,54 @@
+/** @constant {string} TEXT_LIBRARY Library used to display the description of a waypoint, preloaded by library.json. */
+const TEXT_LIBRARY = 'H5P.AdvancedText 1.1';
+
+/** @constant {string} PROBLEM_NO_POINT Problem of a feature that is not a point. */
+export const PROBLEM_NO_POINT = 'noPoint';
+
+/** @constant {string} PROBLEM_INVALID_COORDINATES Problem of a point without valid coordinates. */
+export const PROBLEM_INVALID_COORDINATES = 'invalidCoordinates';
+
+/** @constant {string} PROBLEM_DUPLICATE_ID Problem of a feature whose id was used before. */
+export const PROBLEM_DUPLICATE_ID = 'duplicateId';
+
+/** @constant {string} PROBLEM_NO_WAYPOINTS Problem of a source without any usable points. */
+export const PROBLEM_NO_WAYPOINTS = 'noWaypoints';
+
+/** @constant {string} PROBLEM_FILE_UNAVAILABLE Problem of a file that could not be loaded. */
+export const PROBLEM_FILE_UNAVAILABLE = 'fileUnavailable';
+
+/** @constant {string} PROBLEM_UNSUPPORTED_ELEMENT Problem of an element that cannot be displayed. */
+export const PROBLEM_UNSUPPORTED_ELEMENT = 'unsupportedElement';
+
+/**
+ * Convert plain text to HTML.
+ * @param {string} text Plain text.
+ * @returns {string} HTML paragraph.
+ */
+export const textToHTML = (text = '') => {
+  const paragraph = document.createElement('p');
+  paragraph.innerText = text;
+
+  return paragraph.outerHTML;
+};
+
+/**
+ * Build the contents of a waypoint that only displays a text.
+ * @param {string} id Id of the waypoint.
+ * @param {string} html Sanitized HTML text.
+ * @returns {object[]} Contents parameters as set by the editor.
+ */
+export const buildTextContents = (id, html) => {
+  if (!html) {
+    return [];
+  }
+
+  return [{
+    contentType: 'h5p',
+    action: {
+      library: TEXT_LIBRARY,
+      params: { text: html },
+      subContentId: `${id}-description`,
+      metadata: { contentType: 'Text', title: 'Description' },
+    },
+  }];
+};
@@ -0,0 +1,24 @@
+/** @constant {object} ALIASES Webpack aliases, cmp. webpack.config.js. */
+const ALIASES = {
+  '@components/': '../src/scripts/components/',
+  '@mixins/': '../src/scripts/mixins/',
+  '@models/': '../src/scripts/models/',
+  '@services/': '../src/scripts/services/',
+};
+
+/**
+ * Resolve module specifiers that start with a webpack alias.
+ * @param {string} specifier Module specifier.
+ * @param {object} context Resolve context.
+ * @param {function} nextResolve Next resolve hook.
+ * @returns {Promise<object>} Resolved module.
+ */
+export const resolve = async (specifier, context, nextResolve) => {
+  const alias = Object.keys(ALIASES).find((prefix) => specifier.startsWith(prefix));
+  if (!alias) {
+    return nextResolve(specifier, context);
+  }
+
+  const url = new URL(`${ALIASES[alias]}${specifier.slice(alias.length)}`, import.meta.url);
+  return nextResolve(url.href, context);
+};
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GeolocationTracker, {
+  ERROR_PERMISSION_DENIED, ERROR_UNAVAILABLE, ERROR_UNSUPPORTED,
+} from '@services/geolocation-tracker.js';
+
+/** @constant {number} PERMISSION_DENIED Code of GeolocationPositionError if permission was denied. */
+const PERMISSION_DENIED = 1;
+
+/** @constant {number} POSITION_UNAVAILABLE Code of GeolocationPositionError if position is unavailable. */
+const POSITION_UNAVAILABLE = 2;
+
+/** @constant {object} POSITION Position that the provider reports. */
+const POSITION = { latitude: 52.52, longitude: 13.40, accuracy: 5 };
+
+/**
+ * Build a geolocation provider as it can be passed in by extras.geolocationProvider.
+ * @returns {object} Provider that reports what the test tells it to.
+ */
+const buildProvider = () => {
+  const provider = {
+    watchCount: 0,
+    clearedIds: [],
+    watchPosition: (onSuccess, onError) => {
+      provider.watchCount++;
+      provider.succeed = (coords) => onSuccess({ coords: coords });
+      provider.fail = (code) => onError({ code: code });
+
+      return provider.watchCount;
+    },
+    clearWatch: (id) => {
+      provider.clearedIds.push(id);
+    },
+  };
+
+  return provider;
+};
+
+/**
+ * Build a tracker that records what it reports.
+ * @param {object} provider Geolocation provider.
+ * @returns {object} Tracker and the reported errors and positions.
+ */
+const buildTracker = (provider) => {
+  const reported = { errors: [], positions: [] };
+  const tracker = new GeolocationTracker(
+    { provider: provider },
+    {
+      onPositionChanged: (position) => {
+        reported.positions.push(position);
+      },
+      onError: (errorCode) => {
+        reported.errors.push(errorCode);
+      },
+    },
+  );
+
+  return { tracker, reported };
+};
+
+describe('GeolocationTracker', () => {
+  it('reports a denied permission and stops watching', () => {
+    const provider = buildProvider();
+    const { tracker, reported } = buildTracker(provider);
+
+    tracker.start();
+    provider.fail(PERMISSION_DENIED);
+
+    assert.deepEqual(reported.errors, [ERROR_PERMISSION_DENIED]);
+    assert.equal(tracker.isTracking(), false);
+    assert.deepEqual(provider.clearedIds, [1]);
+  });
+
+  it('watches the position again when retrying after a denied permission', () => {
+    const provider = buildProvider();
+    const { tracker, reported } = buildTracker(provider);
+
+    tracker.start();
+    provider.fail(PERMISSION_DENIED);
+    tracker.stop();
+    tracker.start();
+    provider.succeed(POSITION);
+
+    assert.equal(provider.watchCount, 2);
+    assert.equal(tracker.isTracking(), true);
+    assert.deepEqual(reported.positions, [POSITION]);
+  });
+
+  it('reports an unavailable position and keeps watching', () => {
+    const provider = buildProvider();
+    const { tracker, reported } = buildTracker(provider);
+
+    tracker.start();
+    provider.fail(POSITION_UNAVAILABLE);
+
+    assert.deepEqual(reported.errors, [ERROR_UNAVAILABLE]);
+    assert.equal(tracker.isTracking(), true);
+  });
+
+  it('watches the position again when retrying after an unavailable position', () => {
+    const provider = buildProvider();
+    const { tracker } = buildTracker(provider);
+
+    tracker.start();
+    provider.fail(POSITION_UNAVAILABLE);
+    tracker.stop();
+    tracker.start();
+
+    assert.deepEqual(provider.clearedIds, [1]);
+    assert.equal(provider.watchCount, 2);
+  });
+
+  it('reports a provider without geolocation support', () => {
+    const { tracker, reported } = buildTracker({});
+
+    tracker.start();
+
+    assert.deepEqual(reported.errors, [ERROR_UNSUPPORTED]);
+    assert.equal(tracker.isTracking(), false);
+  });
+});
@@ -0,0 +1,6 @@
+import { register } from 'node:module';
+
+/*
+ * Resolve the webpack aliases, so Node.js can run modules of src that don't need a DOM.
+ */
+register('./alias-hooks.js', import.meta.url);